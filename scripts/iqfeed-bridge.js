@@ -6,35 +6,386 @@
  * so Edge (remote server) can pull bar data on demand.
  *
  * Endpoints:
- *   GET /health              → { ok: true, iqfeed: true/false }
+ *   GET /health              → { ok: true, iqfeed: true/false } (+ providers { name: available },
+ *                              provider serving bars now — when more than IQFeed is configured)
+ *   GET /status              → uptime, IQFeed requests, errors (every 5xx response), lastError,
+ *                              stream, auth and limit counters
+ *   GET /metrics             → Prometheus text: HTTP requests/latency per route, IQFeed round
+ *                              trips/retries per command, rows returned, cache days, errors by cause
  *   GET /bars?symbol=AAPL&start=20260209&end=20260210  → JSON array of 5-min bars
- *       Optional: &interval=300 (default 300 = 5min)
+ *       Optional: &interval=300 (default 300 = 5min). Native: 60/120/180/300/600/900/1800/3600;
+ *                 anything else a whole number of minutes up to 8h (2m, 13m, 65m, 4h) is
+ *                 resampled on the bridge from the largest native interval that divides it
+ *                 (and lines up with the session open)
+ *       Optional: &session=all|rth|premarket|afterhours (default all = 04:00–20:00 ET for
+ *                 equities/options/indices; futures run 18:00 prior day – 17:00, forex
+ *                 17:00 – 17:00, with premarket meaning the overnight session)
+ *       Optional: &vwap=1 (adds a per-bar volume-weighted typical price)
+ *       Optional: &refresh=1 (ignore cached days and re-pull from IQFeed)
+ *       Every response carries a `quality` block checked on the base IQFeed bars in session:
+ *         missing intervals (elapsed ones only), emptyDays (weekdays with no bars),
+ *         zeroVolume, duplicates, inconsistent OHLC, unparsedLines (fetched replies only),
+ *         truncated (IQFeed timed out mid-reply), and ok = none of the above.
+ *       Optional: &strict=1 → 422 { error, quality } instead of bars when quality.ok is false
  *       start/end = YYYYMMDD (fetches 9:30 AM → 8:00 PM ET each day)
+ *   GET /indicators?symbol=AAPL&start=20260209&end=20260210&study=ema:9,vwap,atr:14,rsi:14
+ *       Same params as /bars; studies: sma:N, ema:N, rsi[:N=14], atr[:N=14], vwap (per trading day)
+ *       → rows of { time, local, ema_9, vwap, atr_14, rsi_14 } aligned to the bars
+ *       Optional: &bars=1 (include OHLCV in each row)
+ *
+ * Symbols (every route):
+ *   Equities (AAPL, BRK.B), indices ($SPX, TICK.Z), futures (@ES#, @ESH26, QCL#),
+ *   options (QQQ2617L500) and forex (EURUSD.FXCM). URL-encode them — @ES# is %40ES%23.
+ *
+ * Timestamps (/bars, /daily, /weekly, /ticks, /news/headlines):
+ *   `time` is the true UTC instant; `local` is the same instant in ?tz=
+ *   (IANA zone or utc/et, default America/New_York) with its UTC offset, DST-aware.
+ *   ?legacyTime=1 restores the old format: ET wall clock with a fake "Z" and no `local`.
+ *
+ * Formats (/bars, /daily, /weekly, /ticks, /indicators, /news/headlines):
+ *   ?format=json|ndjson|csv, or Accept: application/x-ndjson / text/csv. NDJSON and
+ *   CSV stream rows as they're parsed; all responses are gzipped for
+ *   Accept-Encoding: gzip. A failure mid-stream ends NDJSON with {"error": …}
+ *   and CSV with a "# error: …" line.
+ *   POST /bars/batch  { "symbols": ["AAPL", { "symbol": "MSFT", "start": "20260101" }],
+ *                       "start": "20260209", "end": "20260210", "interval": "5m" }
+ *       Shared /bars params at the top level, per-symbol overrides in object entries.
+ *       → { results: [ { symbol, status, data… } | { symbol, status, error } ], ok, failed }
+ *       With format=ndjson, one line per symbol as each finishes.
+ *   GET /daily?symbol=AAPL&start=20230101&end=20260210   → JSON array of daily bars (HDT)
+ *   GET /weekly?symbol=AAPL&start=20230101&end=20260210  → JSON array of weekly bars (HWX)
+ *       Same params and response shape as /bars, minus interval/refresh
+ *   GET /ticks?symbol=AAPL&start=20260209&from=093000&to=094500  → streamed trade ticks (HTT)
+ *       Or &days=N instead of start/end for the last N days (HTD)
+ *       Optional: &end=YYYYMMDD, &from/&to=HHmmss (daily time window),
+ *                 &limit=N (default 100000, hard cap 500000)
+ *       Each tick: time, price, size, bid/ask at trade time, exchange, condition codes
+ *   GET /news/headlines?symbols=AAPL,MSFT&limit=50  → rows of { time, local, id, source, symbols, headline }
+ *       Optional: &sources=DTN,CPR, &date=YYYYMMDD (or &start with optional &end); row formats as /bars
+ *   GET /news/story?id=22581852  → { id, symbols, text }
+ *       Stories and past-dated headline queries are cached under .cache/iqfeed-news/
+ *   GET /options/chain?symbol=AAPL&expiry=20260220  → { expirations, strikes, contracts: [
+ *         { symbol: "AAPL2620B250", root, expiry, type: "call", strike } ] } (CEO lookup)
+ *       Optional: &type=call|put, &snapshot=1 (adds quote { bid, ask, sizes, last, volume }
+ *                 per contract from Level 1; at most 100 contracts, so filter first)
+ *   GET /scan?symbols=AAPL,MSFT,TSLA  → pre-market gap / opening-range summary per symbol
+ *       Optional: &date=YYYYMMDD (default today ET, or the last session if the market is closed), &orb=1,5,15,30 (opening-range minutes),
+ *                 &sort=gap|rvol|volume|symbol (gap = largest move either way), &order=asc|desc
+ *       Each: priorClose, premarket { high, low, volume, last }, open, last, gapPct (vs the
+ *             open once printed, else the last pre-market trade), rvol (pre-market volume vs
+ *             the prior 10 sessions' average up to the same time of day), orb { "5": { high, low, complete } } after the open
+ *   GET /calendar?days=5  → { open, session, tradingDay, holiday, earlyClose, …, days: [ { date, open, close } ] }
+ *       Is the market open now (or ?at=<ISO instant>), plus the last N trading days up to ?end=.
+ *       ?exchange=NYSE|CME|FX (default NYSE) or ?symbol= for that symbol's calendar.
+ *   GET /stream?symbols=AAPL,MSFT  → Server-Sent Events of live Level 1 updates (port 5009)
+ *       Events: ready { clientId }, quote, trade, notfound, status, error
+ *   GET /stream/watch?client=C1&add=TSLA&remove=MSFT  → change a stream's watch list
+ *   GET /replay?symbols=AAPL,MSFT&date=20260209&speed=10  → a past session over SSE, like /stream
+ *       &mode=bars (default; `bar` events, &interval= as /bars, default 60) or &mode=ticks
+ *       (`trade` events shaped like /stream's, &limit= ticks per symbol as /ticks); &session= as /bars.
+ *       &speed=1 (real time), 10, 0.5 … or max. Events: ready { events, from, to, rejected },
+ *       bar | trade …, done. Same request → same events in the same order. A symbol whose
+ *       session IQFeed cut short (timeout) lands in `rejected` rather than replaying part of a day.
+ *
+ * Data providers:
+ *   /bars, /daily, /weekly (and /indicators, /bars/batch, /scan, /replay on top of them)
+ *   come from the first available provider in `providers` (default iqfeed only):
+ *     iqfeed — IQConnect's lookup port
+ *     files  — CSV / AmiBroker ASCII exports in filesDir: <SYMBOL>_<seconds>.csv|.txt for
+ *              intraday (coarser intervals are aggregated), <SYMBOL>.csv|.txt for daily
+ *   e.g. providers "iqfeed,files" serves from files while /health reports iqfeed: false.
+ *   ?provider=<name> forces one. Responses carry "provider" and X-Data-Provider.
+ *
+ * Bar cache:
+ *   Completed days are stored under .cache/iqfeed-bars/<SYMBOL>/<interval>/<YYYYMMDD>.json
+ *   and served from disk on later requests. Only the missing days are pulled
+ *   from IQFeed. Today's session (ET) is still forming, so it is always re-pulled
+ *   and never written to the cache.
+ *
+ * HTTP caching:
+ *   JSON GET responses carry a weak ETag (hash of the whole body) and Last-Modified;
+ *   If-None-Match / If-Modified-Since → 304 with no body. /bars, /indicators, /daily and
+ *   /weekly ranges ending before today's session (the week's, for /weekly) are final:
+ *   Cache-Control: public, max-age=86400, Last-Modified = that session's close. Anything
+ *   still forming is no-cache (revalidate every time), errors no-store. NDJSON/CSV streams
+ *   carry no validators.
+ *
+ * Market calendar:
+ *   Weekends, holidays and early closes come from scripts/data/market-calendar.json
+ *   (NYSE, CME Globex, FX). Bar routes snap start/end to trading days and answer 400 when
+ *   the range has none; early closes shorten the session windows on /bars and /scan.
+ *
+ * Authentication:
+ *   Every route except /health needs a key from .credentials/iqfeed-bridge.json:
+ *     { "keys": [ { "id": "edge", "key": "<secret>", "routes": ["/bars", "/daily"],
+ *                   "expires": "2026-12-31", "disabled": false } ] }
+ *   `routes` defaults to all routes ("*"). The file is re-read when it changes, so
+ *   rotating a key is: add the new key, switch Edge over, then disable/expire the old one.
+ *   Send either:
+ *     X-API-Key: <secret>   (or Authorization: Bearer <secret>, or ?key=<secret> on
+ *       /stream, /stream/watch and /replay, where EventSource can't set headers)
+ *     X-Key-Id + X-Timestamp (unix seconds) + X-Signature, where the signature is
+ *       hex HMAC-SHA256(secret, "<timestamp>\n<METHOD>\n<path?query>\n<hex SHA-256 of the body>")
+ *       (a GET hashes the empty string). Each signature is accepted once.
+ *   Missing/bad credentials → 401, key not allowed on the route → 403.
+ *
+ * Access log:
+ *   One JSON line per request (time, id, method, path with ?key= redacted, status, ms, key,
+ *   ip, error) in logs/iqfeed-bridge-access.log, rotated at 10 MB keeping 5 files. A client
+ *   that hangs up before its response is complete is logged (and counted) as status 499.
+ *   Every response carries the same id in X-Request-Id. BRIDGE_ACCESS_LOG=<file|off>.
+ *
+ * Limits:
+ *   At most 3 IQFeed lookups run at once; up to 50 more wait in a queue. Each key
+ *   gets a token bucket (burst 20, 60/min — override per key with
+ *   "rateLimit": { "burst": N, "perMinute": N }); a /bars/batch costs one token per symbol.
+ *   Either limit → 429 + Retry-After.
+ *   A client that hangs up takes its IQFeed lookups (queued or open) with it.
+ *
+ * Config:
+ *   Defaults < JSON file (--config <file> or BRIDGE_CONFIG) < env < CLI flags, all
+ *   checked at startup (exit 2 listing every bad value). Keys / env / flag:
+ *     port PORT --port (8765)           iqfeedHost IQFEED_HOST --iqfeed-host (127.0.0.1)
+ *     iqfeedPort IQFEED_PORT (9100)     level1Port LEVEL1_PORT (5009)
+ *     iqfeedTimeoutMs IQFEED_TIMEOUT_MS (15000)   lookupRetries IQFEED_RETRIES (2)
+ *     maxConcurrentLookups BRIDGE_MAX_LOOKUPS (3)  maxQueuedLookups BRIDGE_MAX_QUEUED (50)
+ *     rateLimitBurst BRIDGE_RATE_BURST (20)        rateLimitPerMin BRIDGE_RATE_PER_MIN (60)
+ *     shutdownTimeoutMs BRIDGE_SHUTDOWN_TIMEOUT_MS (30000)
+ *     cacheDir BRIDGE_CACHE_DIR, authFile BRIDGE_AUTH_FILE, accessLog BRIDGE_ACCESS_LOG (or "off")
+ *     providers BRIDGE_PROVIDERS (iqfeed)          filesDir BRIDGE_FILES_DIR
+ *     filesBarTime BRIDGE_FILES_BAR_TIME (start — AmiBroker's stamp; "end" for IQFeed-style)
+ *   Flags are the keys in kebab case (--iqfeed-port 9101). Paths in the file are
+ *   relative to it. A second bridge against the mock feed, e.g. on Linux:
+ *     { "port": 8766, "iqfeedPort": 9101, "cacheDir": "../.cache/mock-bars", "accessLog": "off" }
+ *
+ * Shutdown:
+ *   SIGINT/SIGTERM stop new requests (503), end SSE streams with a status { shutdown }
+ *   event and wait for in-flight requests' lookups before exiting; a second signal
+ *   or shutdownTimeoutMs exits at once.
  *
  * Usage:
- *   node iqfeed-bridge.js
+ *   node iqfeed-bridge.js [--config bridge.json] [--port 8765 …]
  *   Then in another terminal: npx localtunnel --port 8765
  *   Send the public URL to Edge.
+ *
+ * Backfill (overnight, no HTTP server):
+ *   node iqfeed-bridge.js backfill --watchlist watchlist.txt [--days 20]
+ *       [--start YYYYMMDD --end YYYYMMDD] [--interval 300,60] [--summary file]
+ *   Fills the bar cache for every symbol in the watchlist (one per line, # comments)
+ *   up to the last completed session. Cached days are skipped, so re-running after
+ *   a crash resumes where it stopped. Writes backfill-summary.json next to the cache dir
+ *   (.cache/ by default; per symbol: days fetched, gaps still missing, empty days, errors);
+ *   exits 1 if anything is missing.
+ *
+ * Testing (no IQConnect needed):
+ *   node --test scripts/test/   — runs this bridge against scripts/iqfeed-mock.js
  */
 
 const http = require('http');
 const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ── Config ─────────────────────────────────────────────────────
+// Lowest to highest precedence: the defaults below, a JSON file (--config <file>
+// or BRIDGE_CONFIG, keys as named here), environment variables, then CLI flags
+// (--iqfeed-port 9101). Everything is validated before the server starts, so a
+// second bridge against the mock feed is just another config file.
+
+const CONFIG_OPTIONS = {
+  port:                 { env: 'PORT', type: 'port', default: 8765 },
+  iqfeedHost:           { env: 'IQFEED_HOST', type: 'host', default: '127.0.0.1' },
+  iqfeedPort:           { env: 'IQFEED_PORT', type: 'port', default: 9100 },
+  level1Port:           { env: 'LEVEL1_PORT', type: 'port', default: 5009 },
+  iqfeedTimeoutMs:      { env: 'IQFEED_TIMEOUT_MS', type: 'int', min: 100, max: 600000, default: 15000 },
+  lookupRetries:        { env: 'IQFEED_RETRIES', type: 'int', min: 0, max: 10, default: 2 },
+  maxConcurrentLookups: { env: 'BRIDGE_MAX_LOOKUPS', type: 'int', min: 1, max: 20, default: 3 },
+  maxQueuedLookups:     { env: 'BRIDGE_MAX_QUEUED', type: 'int', min: 0, max: 10000, default: 50 },
+  rateLimitBurst:       { env: 'BRIDGE_RATE_BURST', type: 'int', min: 1, max: 100000, default: 20 },
+  rateLimitPerMin:      { env: 'BRIDGE_RATE_PER_MIN', type: 'int', min: 1, max: 100000, default: 60 },
+  shutdownTimeoutMs:    { env: 'BRIDGE_SHUTDOWN_TIMEOUT_MS', type: 'int', min: 0, max: 600000, default: 30000 },
+  cacheDir:             { env: 'BRIDGE_CACHE_DIR', type: 'path', default: path.resolve(__dirname, '..', '.cache', 'iqfeed-bars') },
+  authFile:             { env: 'BRIDGE_AUTH_FILE', type: 'path', default: path.resolve(__dirname, '..', '.credentials', 'iqfeed-bridge.json') },
+  accessLog:            { env: 'BRIDGE_ACCESS_LOG', type: 'path', default: path.resolve(__dirname, '..', 'logs', 'iqfeed-bridge-access.log') },
+  providers:            { env: 'BRIDGE_PROVIDERS', type: 'list', values: ['iqfeed', 'files'], default: ['iqfeed'] },
+  filesDir:             { env: 'BRIDGE_FILES_DIR', type: 'path', default: null },
+  filesBarTime:         { env: 'BRIDGE_FILES_BAR_TIME', type: 'enum', values: ['start', 'end'], default: 'start' }
+};
+
+const flagName = key => '--' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+
+// Returns the coerced value, or throws with what was expected
+function coerceOption(opt, value, baseDir) {
+  if (opt.type === 'enum') {
+    if (!opt.values.includes(value)) throw new Error(`must be one of ${opt.values.join(', ')}`);
+    return value;
+  }
+  if (opt.type === 'list') {
+    const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+    if (!items.length || items.some(v => !opt.values.includes(v))) throw new Error(`must list some of ${opt.values.join(', ')}`);
+    return [...new Set(items)];
+  }
+  if (opt.type === 'path' || opt.type === 'host') {
+    if (typeof value !== 'string' || !value.trim()) throw new Error(`must be a non-empty ${opt.type}`);
+    if (opt.type === 'host' && /[\s/]/.test(value)) throw new Error('must be a host name or IP address');
+    return opt.type === 'path' && value !== 'off' ? path.resolve(baseDir, value) : value;
+  }
+  const n = typeof value === 'number' ? value : /^\d+$/.test(String(value).trim()) ? parseInt(value) : NaN;
+  const [min, max] = opt.type === 'port' ? [1, 65535] : [opt.min, opt.max];
+  if (!Number.isInteger(n) || n < min || n > max) throw new Error(`must be an integer ${min}–${max}`);
+  return n;
+}
+
+// argv: everything after the script (a leading "backfill" keeps its own flags).
+// Returns { values, file } or { errors }.
+function loadConfig(argv, env) {
+  const errors = [];
+  const values = {};
+  const cli = {};
+  const flags = new Map(Object.keys(CONFIG_OPTIONS).map(key => [flagName(key), key]));
+  let file = env.BRIDGE_CONFIG || null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (flag !== '--config' && !flags.has(flag)) {
+      if (argv[0] !== 'backfill' && flag.startsWith('--')) errors.push(`${flag}: unknown option`);
+      continue;
+    }
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) errors.push(`${flag}: needs a value`);
+    else if (flag === '--config') file = value;
+    else cli[flags.get(flag)] = value;
+  }
+
+  let fromFile = {};
+  if (file) {
+    file = path.resolve(file);
+    try {
+      fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) throw new Error('expected a JSON object');
+      for (const key of Object.keys(fromFile)) {
+        if (!CONFIG_OPTIONS[key]) errors.push(`${file}: unknown key "${key}"`);
+      }
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+      fromFile = {};
+    }
+  }
+
+  for (const [key, opt] of Object.entries(CONFIG_OPTIONS)) {
+    const sources = [
+      [cli[key], flagName(key), process.cwd()],
+      [env[opt.env] || undefined, opt.env, process.cwd()],
+      [fromFile[key], file && `${path.basename(file)} "${key}"`, file && path.dirname(file)]
+    ];
+    const [value, source, baseDir] = sources.find(s => s[0] !== undefined) || [opt.default, null];
+    if (!source) {
+      values[key] = value;
+      continue;
+    }
+    try {
+      values[key] = coerceOption(opt, value, baseDir);
+    } catch (err) {
+      errors.push(`${source}: ${err.message} (got ${JSON.stringify(value)})`);
+    }
+  }
 
-const PORT = 8765;
-const IQFEED_HOST = '127.0.0.1';
-const IQFEED_PORT = 9100;
+  if (values.providers && values.providers.includes('files') && !values.filesDir) {
+    errors.push('providers includes "files" but filesDir (BRIDGE_FILES_DIR, --files-dir) is not set');
+  }
+
+  return errors.length ? { errors } : { values, file };
+}
+
+const loadedConfig = loadConfig(process.argv.slice(2), process.env);
+if (loadedConfig.errors) {
+  for (const e of loadedConfig.errors) console.error(`[config] ${e}`);
+  process.exit(2);
+}
+const CONFIG = loadedConfig.values;
+
+const PORT = CONFIG.port;
+const IQFEED_HOST = CONFIG.iqfeedHost;
+const IQFEED_PORT = CONFIG.iqfeedPort;
+const IQFEED_TIMEOUT_MS = CONFIG.iqfeedTimeoutMs;
+const LOOKUP_RETRIES = CONFIG.lookupRetries;
+const CACHE_DIR = CONFIG.cacheDir;
+const NEWS_CACHE_DIR = path.join(path.dirname(CACHE_DIR), 'iqfeed-news');
+const LEVEL1_PORT = CONFIG.level1Port;
+const PROVIDER_ORDER = CONFIG.providers;   // tried in order; the first available one serves bars
+const FILES_DIR = CONFIG.filesDir;
+const FILES_BAR_TIME = CONFIG.filesBarTime;
+const IQFEED_PROBE_TTL_MS = 5000;   // how long a reachability check of IQConnect is trusted
+const MAX_STREAM_SYMBOLS_PER_CLIENT = 100;
+const MAX_STREAM_SYMBOLS = 500;     // IQFeed watch-list limit on a standard account
+const STREAM_HEARTBEAT_MS = 15000;  // keeps the Cloudflare tunnel from idling out SSE
+const ACCESS_LOG_FILE = CONFIG.accessLog;  // 'off' disables
+const ACCESS_LOG_MAX_BYTES = 10 * 1024 * 1024;
+const ACCESS_LOG_KEEP = 5;          // rotated files: .1 (newest) … .5
+const AUTH_FILE = CONFIG.authFile;
+const HMAC_MAX_SKEW_MS = 5 * 60 * 1000;
+const PUBLIC_ROUTES = ['/health'];  // tunnel health checks run without a key
+const QUERY_KEY_ROUTES = ['/stream', '/stream/watch', '/replay'];  // ?key= only here: it ends up in URLs and logs
+const MAX_CONCURRENT_LOOKUPS = CONFIG.maxConcurrentLookups; // IQConnect starts dropping history requests past a handful
+const MAX_QUEUED_LOOKUPS = CONFIG.maxQueuedLookups;
+const RATE_LIMIT_BURST = CONFIG.rateLimitBurst; // per API key, overridable with "rateLimit" in the key file
+const RATE_LIMIT_PER_MIN = CONFIG.rateLimitPerMin;
+const MAX_BATCH_SYMBOLS = 200;
+const MAX_BODY_BYTES = 256 * 1024;
+const DEFAULT_TICK_ROWS = 100000;
+const MAX_TICK_ROWS = 500000;
+const CALENDAR_FILE = path.resolve(__dirname, 'data', 'market-calendar.json');
+const MAX_REPLAY_SPEED = 10000;
+const DEFAULT_HEADLINES = 50;
+const MAX_HEADLINES = 1000;
+const MAX_NEWS_SYMBOLS = 50;
+const MAX_SNAPSHOT_CONTRACTS = 100;  // each one briefly takes a Level 1 watch slot
+const LEVEL1_SNAPSHOT_MS = 3000;
+const BACKFILL_SUMMARY_FILE = path.join(path.dirname(CACHE_DIR), 'backfill-summary.json');
+const BACKFILL_DEFAULT_DAYS = 20;   // trading days
+const BACKFILL_CHUNK_DAYS = 10;     // trading days per HIT request
+const BACKFILL_PAUSE_MS = 250;      // between IQFeed requests, on top of the lookup queue
 
 let requestCounter = 0;
 const startTime = Date.now();
 let lastError = null;
 let errorCount = 0;
 
-function iqfeedQuery(command, timeout = 15000) {
+// Each HTTP request runs inside requestScope with its response and an AbortSignal
+// that fires when the client hangs up, so the IQFeed sockets opened on its behalf
+// close with it and providers can label it (without threading either through
+// every handler). Backfill runs unscoped.
+const requestScope = new AsyncLocalStorage();
+
+function clientSignal() {
+  const store = requestScope.getStore();
+  return store ? store.signal : null;
+}
+
+function clientGoneError() {
+  const err = new Error('Client disconnected');
+  err.status = 499;
+  err.aborted = true;
+  return err;
+}
+
+function iqfeedQuery(command, timeout = IQFEED_TIMEOUT_MS) {
   return new Promise((resolve, reject) => {
+    const signal = clientSignal();
+    if (signal && signal.aborted) return reject(clientGoneError());
     const sock = new net.Socket();
     sock.setTimeout(timeout);
     let data = '';
 
+    const onAbort = () => { sock.destroy(); reject(clientGoneError()); };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+      sock.on('close', () => signal.removeEventListener('abort', onAbort));
+    }
+
     sock.connect(IQFEED_PORT, IQFEED_HOST, () => {
       sock.write('S,SET PROTOCOL,6.2\r\n');
       setTimeout(() => sock.write(command + '\r\n'), 200);
@@ -50,18 +401,183 @@ function iqfeedQuery(command, timeout = 15000) {
 
     sock.on('timeout', () => { sock.destroy(); resolve(data); });
     sock.on('error', err => { sock.destroy(); reject(err); });
+    // IQConnect hanging up before the end marker is a failed attempt, not a
+    // short answer (no-op once resolved above)
+    sock.on('close', () => reject(new Error('IQFeed closed the connection before the end of the response')));
+  });
+}
+
+// ── Lookup queue ───────────────────────────────────────────────
+// Every lookup-port socket goes through here so only MAX_CONCURRENT_LOOKUPS
+// are open against IQConnect at once; the rest wait in FIFO order.
+
+let activeLookups = 0;
+const lookupQueue = [];
+const limitStats = { queueRejections: 0, rateLimited: 0 };
+
+// A waiter whose client hangs up leaves the queue without ever taking a slot
+function acquireLookupSlot(signal) {
+  if (signal && signal.aborted) return Promise.reject(clientGoneError());
+  if (activeLookups < MAX_CONCURRENT_LOOKUPS) {
+    activeLookups++;
+    return Promise.resolve();
+  }
+  if (lookupQueue.length >= MAX_QUEUED_LOOKUPS) {
+    limitStats.queueRejections++;
+    const err = new Error(`IQFeed lookup queue is full (${MAX_QUEUED_LOOKUPS} waiting) — retry shortly`);
+    err.status = 429;
+    err.retryAfter = 5;
+    return Promise.reject(err);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      lookupQueue.splice(lookupQueue.indexOf(waiter), 1);
+      reject(clientGoneError());
+    };
+    // Granted: drop the listener so long-lived requests don't pile them up
+    const waiter = {
+      resolve: () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }
+    };
+    lookupQueue.push(waiter);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function releaseLookupSlot() {
+  const next = lookupQueue.shift();
+  if (next) next.resolve();   // hand the slot straight to the next waiter
+  else activeLookups--;
+}
+
+async function withLookupSlot(fn) {
+  noteProvider('iqfeed');
+  await acquireLookupSlot(clientSignal());
+  try {
+    return await fn();
+  } finally {
+    releaseLookupSlot();
+  }
+}
+
+// Handler-facing shape for a failed lookup; keeps 429s (queue full) as 429s
+function lookupError(err) {
+  return { error: err.message, status: err.status || 500, retryAfter: err.retryAfter };
+}
+
+// Times one IQFeed round trip (after the queue wait) for /metrics.
+// `isComplete` says whether the reply reached IQFeed's end marker.
+async function timedLookup(command, fn, isComplete) {
+  const type = command.split(',')[0];
+  const started = process.hrtime.bigint();
+  let outcome = 'error';
+  try {
+    const out = await fn();
+    outcome = isComplete(out) ? 'complete' : 'partial';
+    return out;
+  } catch (err) {
+    if (err.aborted) outcome = 'aborted';
+    throw err;
+  } finally {
+    metricInc('iqfeed_bridge_iqfeed_requests_total', { command: type, outcome });
+    metricObserve('iqfeed_bridge_iqfeed_roundtrip_seconds', { command: type }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+async function iqfeedQueryWithRetry(command, maxRetries = LOOKUP_RETRIES, timeout = IQFEED_TIMEOUT_MS) {
+  let lastErr;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) metricInc('iqfeed_bridge_iqfeed_retries_total', { command: command.split(',')[0] });
+    try {
+      return await withLookupSlot(() => timedLookup(command, () => iqfeedQuery(command, timeout),
+        raw => raw.includes('!ENDMSG!') || raw.includes('NO_DATA')));
+    } catch (err) {
+      lastErr = err;
+      if (err.status === 429 || err.aborted) break;
+      if (attempt < maxRetries) {
+        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s …
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  }
+  throw lastErr;
+}
+
+// Line-by-line variant of iqfeedQuery for large responses (ticks). Calls
+// onLine(line, sock) for each data line as it arrives instead of buffering
+// the whole reply; returning false from onLine stops the request early.
+// Resolves { complete, lines } — complete is true only when IQFeed sent its
+// end marker. A hang-up before the marker rejects like iqfeedQuery, so the
+// retry wrapper can retry it while nothing has been delivered.
+function iqfeedStream(command, onLine, timeout = IQFEED_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const signal = clientSignal();
+    if (signal && signal.aborted) return reject(clientGoneError());
+    const sock = new net.Socket();
+    sock.setTimeout(timeout);
+    let buffer = '';
+    let lines = 0;
+    let done = false;
+
+    const finish = complete => {
+      if (done) return;
+      done = true;
+      sock.destroy();
+      resolve({ complete, lines });
+    };
+    const fail = err => {
+      if (done) return;
+      done = true;
+      sock.destroy();
+      err.linesDelivered = lines;
+      reject(err);
+    };
+
+    const onAbort = () => fail(clientGoneError());
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+      sock.on('close', () => signal.removeEventListener('abort', onAbort));
+    }
+
+    sock.connect(IQFEED_PORT, IQFEED_HOST, () => {
+      sock.write('S,SET PROTOCOL,6.2\r\n');
+      setTimeout(() => sock.write(command + '\r\n'), 200);
+    });
+
+    sock.on('data', chunk => {
+      buffer += chunk.toString('latin1');
+      const parts = buffer.split('\n');
+      buffer = parts.pop();
+      for (const part of parts) {
+        const l = part.trim();
+        if (!l || l.startsWith('S,')) continue;
+        if (l.includes('!ENDMSG!') || l.includes('NO_DATA')) return finish(true);
+        lines++;
+        if (onLine(l, sock) === false) return finish(false);
+      }
+    });
+
+    sock.on('timeout', () => finish(false));
+    sock.on('close', () => fail(new Error('IQFeed closed the connection before !ENDMSG!')));
+    sock.on('error', fail);
   });
 }
 
-async function iqfeedQueryWithRetry(command, maxRetries = 2, timeout = 15000) {
+// Retries only while nothing has been handed to onLine yet — once lines
+// have gone out to the client a retry would duplicate them.
+async function iqfeedStreamWithRetry(command, onLine, maxRetries = LOOKUP_RETRIES, timeout = IQFEED_TIMEOUT_MS) {
   let lastErr;
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) metricInc('iqfeed_bridge_iqfeed_retries_total', { command: command.split(',')[0] });
     try {
-      return await iqfeedQuery(command, timeout);
+      return await withLookupSlot(() => timedLookup(command, () => iqfeedStream(command, onLine, timeout), out => out.complete));
     } catch (err) {
       lastErr = err;
+      if (err.linesDelivered > 0 || err.status === 429 || err.aborted) break;
       if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s
+        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s …
         await new Promise(r => setTimeout(r, delay));
       }
     }
@@ -69,7 +585,10 @@ async function iqfeedQueryWithRetry(command, maxRetries = 2, timeout = 15000) {
   throw lastErr;
 }
 
-function parseBars(raw, reqId) {
+// Interval bars (HIT) carry total + period volume; daily/weekly bars (HDT/HWX)
+// carry period volume + open interest, so volume sits one column earlier.
+// Lines that don't parse are skipped and counted in stats.unparsed if given.
+function parseBars(raw, reqId, volumeIdx = 6, stats = null) {
   const bars = [];
   for (const line of raw.split('\n')) {
     const l = line.trim();
@@ -82,125 +601,3077 @@ function parseBars(raw, reqId) {
     if (p[0] === 'LH') p = p.slice(1);
 
     try {
-      const ts = p[0].trim();        // "YYYY-MM-DD HH:mm:ss"
+      let ts = p[0].trim();          // "YYYY-MM-DD HH:mm:ss" (daily/weekly: "YYYY-MM-DD")
+      if (ts.length === 10) ts += ' 00:00:00';
       const high = parseFloat(p[1]);
       const low = parseFloat(p[2]);
       const open = parseFloat(p[3]);
       const close = parseFloat(p[4]);
-      const periodVol = parseInt(p[6]) || 0;
+      const periodVol = parseInt(p[volumeIdx]) || 0;
 
-      if (isNaN(open) || isNaN(close)) continue;
+      if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(ts) || isNaN(open) || isNaN(close)) {
+        if (stats) stats.unparsed++;
+        continue;
+      }
 
-      // IQFeed returns ET timestamps — store as-is with Z suffix
-      // (Edge knows these are ET and handles conversion)
+      // IQFeed returns ET wall-clock timestamps. Internally (and in the bar
+      // cache) they keep the legacy "ET with a Z suffix" form; presentTimes()
+      // turns them into real UTC instants on the way out.
       const isoTs = ts.replace(' ', 'T') + 'Z';
 
       bars.push({ time: isoTs, open, high, low, close, volume: periodVol });
     } catch (e) {
+      if (stats) stats.unparsed++;
       continue;
     }
   }
   return bars;
 }
 
-async function handleBars(params) {
-  const symbol = params.get('symbol');
-  const start = params.get('start');   // YYYYMMDD
-  const end = params.get('end');       // YYYYMMDD
-  const interval = params.get('interval') || '300';
+// HTT/HTD tick line (protocol 6.2):
+// LH,Timestamp,Last,LastSize,TotalVolume,Bid,Ask,TickID,BasisForLast,
+//    TradeMarketCenter,TradeConditions,TradeAggressor,DayCode
+function parseTick(line, reqId) {
+  let p = line.split(',');
+  if (p[0] === reqId) p = p.slice(1);
+  if (p[0] === 'LH') p = p.slice(1);
 
-  if (!symbol || !start || !end) {
-    return { error: 'Need symbol, start, end params', status: 400 };
-  }
+  const price = parseFloat(p[1]);
+  if (!p[0] || isNaN(price)) return null;
 
-  // Validate inputs
-  if (!/^[A-Z]{1,10}$/.test(symbol)) {
-    return { error: 'Invalid symbol — must be 1-10 uppercase letters', status: 400 };
-  }
-  if (!/^\d{8}$/.test(start) || !/^\d{8}$/.test(end)) {
-    return { error: 'Invalid date format — use YYYYMMDD', status: 400 };
-  }
-  const validIntervals = ['60', '120', '180', '300', '600', '900', '1800', '3600'];
-  if (!validIntervals.includes(interval)) {
-    return { error: `Invalid interval — use one of: ${validIntervals.join(', ')}`, status: 400 };
-  }
+  return {
+    time: p[0].trim().replace(' ', 'T') + 'Z', // ET wall clock, same internal form as bars
+    price,
+    size: parseInt(p[2]) || 0,
+    totalVolume: parseInt(p[3]) || 0,
+    bid: parseFloat(p[4]) || null,
+    ask: parseFloat(p[5]) || null,
+    tickId: parseInt(p[6]) || null,
+    basis: p[7] || null,
+    exchange: parseInt(p[8]) || null,
+    // Conditions arrive as concatenated 2-digit hex codes, e.g. "3D87"
+    conditions: (p[9] || '').match(/[0-9A-Fa-f]{2}/g) || [],
+    aggressor: parseInt(p[10]) || 0
+  };
+}
 
-  const reqId = `R${++requestCounter}`;
-  const begin = `${start} 040000`;  // 4 AM for pre-market
-  const endTime = `${end} 200000`;  // 8 PM for post-market
+// ── Time zones ─────────────────────────────────────────────────
+// IQFeed speaks US/Eastern wall-clock time. These helpers resolve it to the
+// real instant (DST-aware, via Intl) and render it back in any IANA zone.
 
-  const cmd = `HIT,${symbol},${interval},${begin},${endTime},,,,1,${reqId}`;
+const EXCHANGE_TZ = 'America/New_York';
+const TZ_ALIASES = { utc: 'UTC', et: EXCHANGE_TZ, exchange: EXCHANGE_TZ };
+const tzFormatters = new Map();
 
-  try {
-    const raw = await iqfeedQueryWithRetry(cmd);
-    const bars = parseBars(raw, reqId);
-    return { data: bars, count: bars.length, symbol, start, end };
-  } catch (err) {
-    return { error: err.message, status: 500 };
+function tzFormatter(zone) {
+  if (!tzFormatters.has(zone)) {
+    tzFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
   }
+  return tzFormatters.get(zone);
 }
 
-async function handleHealth() {
+// Minutes to add to UTC to get wall-clock time in `zone` at instant `ms`
+function tzOffsetMinutes(zone, ms) {
+  const parts = tzFormatter(zone).formatToParts(new Date(ms));
+  const get = type => +parts.find(p => p.type === type).value;
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// "YYYY-MM-DD HH:mm:ss" wall clock in `zone` → epoch ms. In the repeated
+// fall-back hour this picks the first (daylight) occurrence.
+function wallClockToEpoch(wall, zone = EXCHANGE_TZ) {
+  const m = wall.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  const naive = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+  const guess = naive - tzOffsetMinutes(zone, naive) * 60000;
+  return naive - tzOffsetMinutes(zone, guess) * 60000;
+}
+
+// Renders an instant as ISO-8601 with the zone's offset, keeping IQFeed's
+// sub-second digits (ticks carry microseconds) as text.
+function formatInZone(ms, zone, fraction = '') {
+  const offset = tzOffsetMinutes(zone, ms);
+  const wall = new Date(ms + offset * 60000).toISOString().slice(0, 19);
+  if (offset === 0) return `${wall}${fraction}Z`;
+  const abs = Math.abs(offset);
+  const sign = offset < 0 ? '-' : '+';
+  return `${wall}${fraction}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+function etToday() {
+  return formatInZone(Date.now(), EXCHANGE_TZ).slice(0, 10).replace(/-/g, '');
+}
+
+// Minutes past midnight ET right now on `day` — Infinity once the day is
+// over, -Infinity before it starts
+function etMinuteOf(day) {
+  const today = etToday();
+  if (day < today) return Infinity;
+  if (day > today) return -Infinity;
+  const wall = formatInZone(Date.now(), EXCHANGE_TZ);
+  return +wall.slice(11, 13) * 60 + +wall.slice(14, 16);
+}
+
+// Reads ?tz= (IANA name, or utc/et) and ?legacyTime=1. Returns the options or an error.
+function timeOptions(params) {
+  if (params.get('legacyTime') === '1') return { legacy: true, tz: 'legacy-et' };
+
+  const requested = params.get('tz') || 'et';
+  const tz = TZ_ALIASES[requested.toLowerCase()] || requested;
   try {
-    const sock = new net.Socket();
-    await new Promise((resolve, reject) => {
-      sock.setTimeout(3000);
-      sock.connect(IQFEED_PORT, IQFEED_HOST, () => { sock.destroy(); resolve(); });
-      sock.on('error', reject);
-      sock.on('timeout', () => { sock.destroy(); reject(new Error('timeout')); });
-    });
-    return { ok: true, iqfeed: true };
+    tzFormatter(tz);
   } catch {
-    return { ok: true, iqfeed: false, message: 'IQConnect not reachable on port 9100' };
+    return { error: 'Invalid tz — use an IANA zone such as America/New_York, or utc/et', status: 400 };
   }
+  return { legacy: false, tz };
 }
 
-async function handleStatus() {
-  const health = await handleHealth();
+// One internal "ET wall clock + Z" timestamp → true UTC (untouched for legacyTime=1)
+function presentTime(time, opts) {
+  if (opts.legacy) return time;
+  const wall = time.slice(0, -1);
+  const fraction = (wall.match(/(\.\d+)$/) || ['', ''])[1];
+  return new Date(wallClockToEpoch(wall)).toISOString().slice(0, 19) + fraction + 'Z';
+}
+
+// Internal "ET wall clock + Z" rows → { time: true UTC, local: in opts.tz, ... }.
+// legacyTime=1 returns rows untouched for Edge scripts that still expect fake-Z ET.
+function presentTimes(rows, opts) {
+  if (opts.legacy) return rows;
+  return rows.map(row => {
+    const wall = row.time.slice(0, -1);
+    const fraction = (wall.match(/(\.\d+)$/) || ['', ''])[1];
+    const ms = wallClockToEpoch(wall);
+    const { time, ...rest } = row;
+    return {
+      time: new Date(ms).toISOString().slice(0, 19) + fraction + 'Z',
+      local: formatInZone(ms, opts.tz, fraction),
+      ...rest
+    };
+  });
+}
+
+// ── Symbols & asset classes ────────────────────────────────────
+// One grammar per asset class. Every pattern is anchored and admits no commas,
+// spaces or line breaks, so a symbol can never add fields or a second command
+// to the IQFeed request line. Checked in order — options before equities.
+
+// Sessions are ET minutes relative to the trading day's midnight, [open, close).
+// Futures and forex trading days start the evening before, hence negative opens.
+const EQUITY_SESSIONS = {
+  all: [240, 1200],         // 04:00–20:00
+  premarket: [240, 570],    // 04:00–09:30
+  rth: [570, 960],          // 09:30–16:00
+  afterhours: [960, 1200]   // 16:00–20:00
+};
+const FUTURES_SESSIONS = {
+  all: [-360, 1020],        // Globex: 18:00 prior day – 17:00
+  premarket: [-360, 570],   // overnight: 18:00 prior day – 09:30
+  rth: [570, 975],          // 09:30–16:15
+  afterhours: [975, 1020]   // 16:15–17:00
+};
+const FOREX_SESSIONS = {
+  all: [-420, 1020],        // 17:00 prior day – 17:00 rollover
+  premarket: [-420, 570],
+  rth: [570, 960],
+  afterhours: [960, 1020]
+};
+
+const ASSET_CLASSES = {
+  option: { pattern: /^[A-Z]{1,6}\d{2}(0[1-9]|[12]\d|3[01])[A-X]\d+(\.\d+)?$/, example: 'QQQ2617L500', sessions: EQUITY_SESSIONS, calendar: 'NYSE' },
+  future: { pattern: /^[@Q][A-Z0-9]{1,4}(#C?|[FGHJKMNQUVXZ]\d{2})$/, example: '@ES#, @ESH26', sessions: FUTURES_SESSIONS, calendar: 'CME' },
+  index: { pattern: /^(\$[A-Z0-9]{1,10}|[A-Z0-9]{1,8}\.(Z|XO))$/, example: '$SPX, TICK.Z', sessions: EQUITY_SESSIONS, calendar: 'NYSE' },
+  forex: { pattern: /^[A-Z]{6}\.FXCM$/, example: 'EURUSD.FXCM', sessions: FOREX_SESSIONS, calendar: 'FX' },
+  equity: { pattern: /^[A-Z]{1,10}(\.[A-Z]{1,2})?$/, example: 'AAPL, BRK.B', sessions: EQUITY_SESSIONS, calendar: 'NYSE' }
+};
+
+const INVALID_SYMBOL = 'Invalid symbol — use ' +
+  Object.entries(ASSET_CLASSES).map(([cls, { example }]) => `${cls} (${example})`).join(', ');
+
+function classifySymbol(symbol) {
+  return Object.keys(ASSET_CLASSES).find(cls => ASSET_CLASSES[cls].pattern.test(symbol)) || null;
+}
+
+// ── Market calendar ────────────────────────────────────────────
+// Holidays and early closes per exchange come from data/market-calendar.json
+// (NYSE for equities/options/indices, CME for futures, FX for forex). Outside
+// the file's coverage every weekday counts as a trading day.
+
+const CALENDAR = JSON.parse(fs.readFileSync(CALENDAR_FILE, 'utf8'));
+
+function clockMinute(hhmm) {
+  return +hhmm.slice(0, 2) * 60 + +hhmm.slice(3, 5);
+}
+
+// { tradingDay, holiday, earlyClose } for one exchange and YYYYMMDD
+function calendarDay(exchange, day) {
+  const { holidays, earlyCloses } = CALENDAR.exchanges[exchange];
+  const weekday = dayMinuteToDate(day, 0).getUTCDay() % 6 !== 0;
+  const holiday = holidays[day] || null;
+  return { tradingDay: weekday && !holiday, holiday, earlyClose: earlyCloses[day] || null };
+}
+
+function tradingDays(exchange, start, end) {
+  return enumerateDays(start, end).filter(day => calendarDay(exchange, day).tradingDay);
+}
+
+// The trading day `n` trading days after (n > 0) or before (n < 0) `day`
+function shiftTradingDay(exchange, day, n) {
+  let d = day;
+  for (let left = Math.abs(n); left > 0;) {
+    d = shiftDay(d, Math.sign(n));
+    if (calendarDay(exchange, d).tradingDay) left--;
+  }
+  return d;
+}
+
+// The asset class's session windows on `day`. An early close ends RTH at the
+// listed time; extended trading then runs to extendedClose, or stops (CME halt).
+function sessionsOn(assetClass, day) {
+  const { sessions, calendar } = ASSET_CLASSES[assetClass];
+  const early = calendarDay(calendar, day).earlyClose;
+  if (!early) return sessions;
+  const close = clockMinute(early.close);
+  const extended = early.extendedClose ? clockMinute(early.extendedClose) : close;
   return {
-    uptime: Math.floor((Date.now() - startTime) / 1000),
-    requests: requestCounter,
-    errors: errorCount,
-    lastError,
-    iqfeed: health.iqfeed
+    all: [sessions.all[0], extended],
+    premarket: sessions.premarket,
+    rth: [sessions.rth[0], Math.min(sessions.rth[1], close)],
+    afterhours: [close, extended]
   };
 }
 
-const server = http.createServer(async (req, res) => {
-  const url = new URL(req.url, `http://localhost:${PORT}`);
-  res.setHeader('Content-Type', 'application/json');
-  res.setHeader('Access-Control-Allow-Origin', '*');
+// Why a range holds no trading days, for the 400 message
+function closedReason(exchange, start, end) {
+  const names = enumerateDays(start, end).map(day => calendarDay(exchange, day).holiday).filter(Boolean);
+  return names.length ? ` (${[...new Set(names)].join(', ')})` : ' (weekend)';
+}
 
-  try {
-    let result;
-    if (url.pathname === '/health') {
-      result = await handleHealth();
-    } else if (url.pathname === '/bars') {
-      result = await handleBars(url.searchParams);
-    } else if (url.pathname === '/status') {
-      result = await handleStatus();
-    } else {
-      result = { error: 'Not found. Use /health or /bars', status: 404 };
+// ── Sessions & resampling ──────────────────────────────────────
+// IQFeed stamps intraday bars with their END time (09:35 = the 09:30–09:35
+// bar), so session membership is decided on each bar's start.
+
+const NATIVE_INTERVALS = [60, 120, 180, 300, 600, 900, 1800, 3600];
+const MAX_RESAMPLE_SECONDS = 8 * 3600;
+
+// "300", "2m", "13m", "65m", "4h" → seconds (null if unparseable)
+function parseInterval(value) {
+  const m = String(value).match(/^(\d+)(s|m|h)?$/);
+  if (!m) return null;
+  return parseInt(m[1]) * ({ s: 1, m: 60, h: 3600 }[m[2] || 's']);
+}
+
+// Largest native IQFeed interval that divides the target evenly and lines up
+// with the session open (IQFeed's hourly bars start on the hour, so RTH 1h
+// bars are built from 30m bars to start at 09:30)
+function baseIntervalFor(seconds, openMinute) {
+  return [...NATIVE_INTERVALS].reverse().find(n => seconds % n === 0 && (openMinute * 60) % n === 0);
+}
+
+// Trading day (YYYYMMDD) and start minute within it for an end-stamped bar.
+// Bars starting after an overnight session's open roll into the next day.
+function barPosition(bar, intervalSeconds, sessions) {
+  const t = bar.time;
+  const start = new Date(Date.UTC(+t.slice(0, 4), +t.slice(5, 7) - 1, +t.slice(8, 10),
+    +t.slice(11, 13), +t.slice(14, 16), +t.slice(17, 19)) - intervalSeconds * 1000);
+  let minute = start.getUTCHours() * 60 + start.getUTCMinutes() + start.getUTCSeconds() / 60;
+  const open = sessions.all[0];
+  if (open < 0 && minute >= 1440 + open) {
+    start.setUTCDate(start.getUTCDate() + 1);
+    minute -= 1440;
+  }
+  return { day: start.toISOString().slice(0, 10).replace(/-/g, ''), minute };
+}
+
+// Wall-clock instant `minute` minutes after the trading day's midnight
+function dayMinuteToDate(day, minute) {
+  return new Date(Date.UTC(+day.slice(0, 4), +day.slice(4, 6) - 1, +day.slice(6, 8)) + minute * 60000);
+}
+
+// IQFeed request time ("YYYYMMDD HHmmss") for a trading-day minute
+function iqfeedTime(day, minute) {
+  const iso = dayMinuteToDate(day, minute).toISOString();
+  return `${iso.slice(0, 10).replace(/-/g, '')} ${iso.slice(11, 19).replace(/:/g, '')}`;
+}
+
+function typicalPrice(bar) {
+  return (bar.high + bar.low + bar.close) / 3;
+}
+
+// Filters one or more days of base bars to `session` and, when the target is
+// coarser than the base, aggregates them into target-sized buckets anchored
+// at the session open (so 65m RTH bars are 09:30–10:35, …). Bucket times are
+// end-of-bucket like IQFeed's, clamped to the session close. With `withVwap`,
+// each bar gets a volume-weighted typical price of the base bars it covers.
+function shapeBars(bars, baseSeconds, targetSeconds, sessions, session, withVwap) {
+  const [open, close] = sessions[session];
+  const inSession = [];
+  for (const bar of bars) {
+    const pos = barPosition(bar, baseSeconds, sessions);
+    if (pos.minute >= open && pos.minute < close) inSession.push({ bar, pos });
+  }
+
+  if (targetSeconds === baseSeconds) {
+    if (!withVwap) return inSession.map(({ bar }) => bar);
+    return inSession.map(({ bar }) => ({ ...bar, vwap: +typicalPrice(bar).toFixed(4) }));
+  }
+
+  const targetMin = targetSeconds / 60;
+  const out = [];
+  let current = null;
+  let key = null;
+  let pv = 0;
+
+  const flush = () => {
+    if (!current) return;
+    if (withVwap) current.vwap = current.volume > 0 ? +(pv / current.volume).toFixed(4) : current.close;
+    out.push(current);
+  };
+
+  for (const { bar, pos } of inSession) {
+    const bucket = Math.floor((pos.minute - open) / targetMin);
+    const bucketKey = `${pos.day}#${bucket}`;
+    if (bucketKey !== key) {
+      flush();
+      key = bucketKey;
+      pv = 0;
+      const endMin = Math.min(open + (bucket + 1) * targetMin, close);
+      current = {
+        time: dayMinuteToDate(pos.day, endMin).toISOString().slice(0, 19) + 'Z',
+        open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: 0
+      };
     }
+    current.high = Math.max(current.high, bar.high);
+    current.low = Math.min(current.low, bar.low);
+    current.close = bar.close;
+    current.volume += bar.volume;
+    pv += typicalPrice(bar) * bar.volume;
+  }
+  flush();
+  return out;
+}
 
-    const status = result.status || 200;
-    delete result.status;
-    res.writeHead(status);
-    res.end(JSON.stringify(result));
-  } catch (err) {
-    errorCount++;
-    lastError = { message: err.message, time: new Date().toISOString() };
-    res.writeHead(500);
-    res.end(JSON.stringify({ error: err.message }));
+// ── Indicators ─────────────────────────────────────────────────
+// One deterministic implementation of the studies Edge keeps re-deriving.
+// Each returns an array aligned to the input bars, null during warm-up.
+// EMA seeds from the SMA of its first N closes; RSI and ATR use Wilder's
+// smoothing; VWAP is cumulative per trading day on the bars' typical price.
+
+const MAX_STUDY_PERIOD = 500;
+const STUDIES = {
+  sma: { defaultPeriod: null, compute: (bars, n) => sma(bars.map(b => b.close), n) },
+  ema: { defaultPeriod: null, compute: (bars, n) => ema(bars.map(b => b.close), n) },
+  rsi: { defaultPeriod: 14, compute: (bars, n) => rsi(bars.map(b => b.close), n) },
+  atr: { defaultPeriod: 14, compute: (bars, n) => atr(bars, n) },
+  vwap: { defaultPeriod: 0, compute: (bars, n, dayOf) => sessionVwap(bars, dayOf) }
+};
+
+function sma(values, n) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= n) sum -= values[i - n];
+    if (i >= n - 1) out[i] = sum / n;
   }
-});
+  return out;
+}
 
-server.listen(PORT, () => {
-  console.log(`\n🔌 IQFeed Bridge running on http://localhost:${PORT}`);
-  console.log(`\nEndpoints:`);
-  console.log(`  GET /health`);
-  console.log(`  GET /bars?symbol=AAPL&start=20260209&end=20260210`);
-  console.log(`\nNext step: open another terminal and run:`);
-  console.log(`  npx localtunnel --port ${PORT}`);
-  console.log(`\nThen send the public URL to Edge.\n`);
-});
+function ema(values, n) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < n) return out;
+  const k = 2 / (n + 1);
+  let prev = values.slice(0, n).reduce((a, v) => a + v, 0) / n;
+  out[n - 1] = prev;
+  for (let i = n; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+function rsi(closes, n) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length <= n) return out;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= n; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= n;
+  loss /= n;
+  out[n] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  for (let i = n + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (n - 1) + Math.max(change, 0)) / n;
+    loss = (loss * (n - 1) + Math.max(-change, 0)) / n;
+    out[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  }
+  return out;
+}
+
+function atr(bars, n) {
+  const out = new Array(bars.length).fill(null);
+  const tr = bars.map((b, i) => i === 0
+    ? b.high - b.low
+    : Math.max(b.high - b.low, Math.abs(b.high - bars[i - 1].close), Math.abs(b.low - bars[i - 1].close)));
+  if (bars.length < n) return out;
+  let prev = tr.slice(0, n).reduce((a, v) => a + v, 0) / n;
+  out[n - 1] = prev;
+  for (let i = n; i < bars.length; i++) {
+    prev = (prev * (n - 1) + tr[i]) / n;
+    out[i] = prev;
+  }
+  return out;
+}
+
+function sessionVwap(bars, dayOf) {
+  let day = null;
+  let pv = 0;
+  let vol = 0;
+  return bars.map(bar => {
+    if (dayOf(bar) !== day) {
+      day = dayOf(bar);
+      pv = 0;
+      vol = 0;
+    }
+    pv += typicalPrice(bar) * bar.volume;
+    vol += bar.volume;
+    return vol > 0 ? pv / vol : typicalPrice(bar);
+  });
+}
+
+// "ema:9,vwap,atr:14" → [{ name, period, key: 'ema_9' }] or { error }
+function parseStudies(spec) {
+  const studies = [];
+  for (const item of (spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, periodText] = item.split(':');
+    const def = STUDIES[name];
+    if (!def) {
+      return { error: `Unknown study "${name}" — use ${Object.keys(STUDIES).join(', ')}` };
+    }
+    if (def.defaultPeriod === 0) {
+      studies.push({ name, period: 0, key: name });
+      continue;
+    }
+    const period = periodText === undefined ? def.defaultPeriod : parseInt(periodText);
+    if (!(period >= 1 && period <= MAX_STUDY_PERIOD) || (periodText !== undefined && !/^\d+$/.test(periodText))) {
+      return { error: `Study "${item}" needs a period of 1-${MAX_STUDY_PERIOD}, e.g. ${name}:14` };
+    }
+    studies.push({ name, period, key: `${name}_${period}` });
+  }
+  if (studies.length === 0) return { error: 'Need study param, e.g. study=ema:9,vwap,atr:14,rsi:14' };
+  return { studies };
+}
+
+function round4(value) {
+  return value === null ? null : +value.toFixed(4);
+}
+
+// ── Data quality ───────────────────────────────────────────────
+// Checks the base bars IQFeed delivered for a /bars request (in session,
+// before any resampling) so a half-empty day can't pass for a quiet one.
+
+const MAX_QUALITY_ITEMS = 50;  // listed per issue; counts are always complete
+
+function capped(items) {
+  return { count: items.length, times: items.slice(0, MAX_QUALITY_ITEMS) };
+}
+
+// `bars` are internal-form base bars for the trading `days`; `extra` carries
+// { unparsed, truncated } from the IQFeed replies. Times in the report are
+// bar end-stamps presented like the bars themselves.
+function assessBars(bars, baseSeconds, assetClass, session, days, timeOpts, extra) {
+  const sessions = ASSET_CLASSES[assetClass].sessions;
+  const step = baseSeconds / 60;
+  const byDay = new Map(days.map(day => [day, new Set()]));
+  const seen = new Set();
+  const zeroVolume = [];
+  const duplicates = [];
+  const inconsistent = [];
+
+  for (const bar of bars) {
+    const pos = barPosition(bar, baseSeconds, sessions);
+    if (!byDay.has(pos.day)) continue;
+    const [open, close] = sessionsOn(assetClass, pos.day)[session];
+    if (pos.minute < open || pos.minute >= close) continue;
+    const time = presentTime(bar.time, timeOpts);
+    if (seen.has(bar.time)) duplicates.push(time);
+    seen.add(bar.time);
+    byDay.get(pos.day).add(Math.round(pos.minute));
+    if (bar.volume === 0) zeroVolume.push(time);
+    const lo = Math.min(bar.open, bar.close);
+    const hi = Math.max(bar.open, bar.close);
+    if (bar.high < bar.low || lo < bar.low || hi > bar.high) inconsistent.push(time);
+  }
+
+  const missing = [];
+  const emptyDays = [];
+  let expectedBars = 0;
+  let missingBars = 0;
+  for (const [day, minutes] of byDay) {
+    // Only intervals that have fully elapsed — today's session is still forming
+    const [open, close] = sessionsOn(assetClass, day)[session];
+    const now = etMinuteOf(day);
+    if (minutes.size === 0) {
+      if (now >= open + step && close > open) emptyDays.push(day);
+      continue;
+    }
+    let run = null;
+    for (let m = open; m < close && m + step <= now; m += step) {
+      expectedBars++;
+      if (minutes.has(m)) {
+        run = null;
+        continue;
+      }
+      missingBars++;
+      const end = presentTime(dayMinuteToDate(day, Math.min(m + step, close)).toISOString().slice(0, 19) + 'Z', timeOpts);
+      if (run) {
+        run.to = end;
+        run.bars++;
+      } else {
+        run = { from: end, to: end, bars: 1 };
+        missing.push(run);
+      }
+    }
+  }
+
+  const ok = missingBars === 0 && emptyDays.length === 0 && zeroVolume.length === 0 &&
+    duplicates.length === 0 && inconsistent.length === 0 && extra.unparsed === 0 && !extra.truncated;
+  return {
+    ok, interval: baseSeconds, session, expectedBars, missingBars,
+    missing: missing.slice(0, MAX_QUALITY_ITEMS), emptyDays,
+    zeroVolume: capped(zeroVolume), duplicates: capped(duplicates), inconsistent: capped(inconsistent),
+    unparsedLines: extra.unparsed, truncated: extra.truncated
+  };
+}
+
+function qualitySummary(q) {
+  const parts = [];
+  if (q.missingBars) parts.push(`${q.missingBars} missing bars`);
+  if (q.emptyDays.length) parts.push(`${q.emptyDays.length} empty days`);
+  if (q.zeroVolume.count) parts.push(`${q.zeroVolume.count} zero-volume bars`);
+  if (q.duplicates.count) parts.push(`${q.duplicates.count} duplicate timestamps`);
+  if (q.inconsistent.count) parts.push(`${q.inconsistent.count} bars with inconsistent OHLC`);
+  if (q.unparsedLines) parts.push(`${q.unparsedLines} unparseable lines`);
+  if (q.truncated) parts.push('IQFeed reply cut short');
+  return parts.join(', ');
+}
+
+// ── Pre-market scan ────────────────────────────────────────────
+// Per-symbol morning summary built from the same cached bar paths as /bars:
+// prior close (HDT), the scan day's 1-minute bars for pre-market stats and
+// opening ranges, and the prior sessions' 5-minute pre-market bars for
+// relative volume.
+
+const DEFAULT_ORB_MINUTES = [1, 5, 15, 30];
+const MAX_ORB_MINUTES = 390;
+const RVOL_DAYS = 10;
+const SCAN_SORTS = {
+  gap: r => r.gapPct == null ? null : Math.abs(r.gapPct),  // biggest move either way
+  rvol: r => r.rvol,
+  volume: r => r.premarket.volume,
+  symbol: r => r.symbol
+};
+
+function barRange(bars) {
+  if (bars.length === 0) return { high: null, low: null };
+  return {
+    high: round4(Math.max(...bars.map(b => b.high))),
+    low: round4(Math.min(...bars.map(b => b.low)))
+  };
+}
+
+// ── Bar cache ──────────────────────────────────────────────────
+// One JSON file per symbol / interval / trading day. A day is only written
+// once IQFeed has answered in full, so a timed-out or errored pull never
+// poisons the cache.
+
+function enumerateDays(start, end) {
+  const days = [];
+  const d = new Date(Date.UTC(+start.slice(0, 4), +start.slice(4, 6) - 1, +start.slice(6, 8)));
+  const last = new Date(Date.UTC(+end.slice(0, 4), +end.slice(4, 6) - 1, +end.slice(6, 8)));
+  while (d <= last) {
+    days.push(d.toISOString().slice(0, 10).replace(/-/g, ''));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return days;
+}
+
+function shiftDay(day, n) {
+  const d = new Date(Date.UTC(+day.slice(0, 4), +day.slice(4, 6) - 1, +day.slice(6, 8) + n));
+  return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function cacheFile(symbol, interval, day) {
+  return path.join(CACHE_DIR, symbol, String(interval), `${day}.json`);
+}
+
+function readCachedDay(symbol, interval, day) {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile(symbol, interval, day), 'utf8')).bars;
+  } catch {
+    return null;
+  }
+}
+
+function writeCachedDay(symbol, interval, day, bars) {
+  const file = cacheFile(symbol, interval, day);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ day, fetchedAt: new Date().toISOString(), bars }), 'utf8');
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error(`[cache] Failed to write ${file}: ${err.message}`);
+  }
+}
+
+// The message from an IQFeed error line ("E,Invalid symbol.,"), ignoring NO_DATA
+function iqfeedErrorMessage(raw, reqId) {
+  for (const line of raw.split('\n')) {
+    let p = line.trim().split(',');
+    if (p[0] === reqId) p = p.slice(1);
+    if (p[0] === 'E' && !(p[1] || '').includes('NO_DATA')) return p[1] || 'unknown error';
+  }
+  return null;
+}
+
+// True when IQFeed finished the response (end marker or NO_DATA) without an error line
+function isCompleteResponse(raw, reqId) {
+  if (!raw.includes('!ENDMSG!') && !raw.includes('NO_DATA')) return false;
+  return !iqfeedErrorMessage(raw, reqId);
+}
+
+// An IQFeed error line (bad symbol, unauthorized …) is surfaced as a 502
+function iqfeedErrorResult(raw, reqId) {
+  const message = iqfeedErrorMessage(raw, reqId);
+  return message ? { error: `IQFeed error: ${message}`, status: 502 } : null;
+}
+
+// Collapse a sorted list of days into [first, last] runs of consecutive entries in `allDays`
+function groupRuns(days, allDays) {
+  const runs = [];
+  let prevIdx = -2;
+  for (const day of days) {
+    const idx = allDays.indexOf(day);
+    if (idx === prevIdx + 1) runs[runs.length - 1][1] = day;
+    else runs.push([day, day]);
+    prevIdx = idx;
+  }
+  return runs;
+}
+
+function barDay(bar) {
+  return bar.time.slice(0, 10).replace(/-/g, '');
+}
+
+// ── Data providers ─────────────────────────────────────────────
+// Bar routes (/bars, /daily, /weekly and everything built on handleBars) get
+// their data from a provider:
+//   { name, cacheable,
+//     available()                                              → Promise<boolean>
+//     intervalBars(symbol, interval, first, last, sessions, stats) → { bars, complete }
+//     dailyBars(symbol, start, end) / weeklyBars(symbol, start, end) → { bars } }
+// Each returns { error, status } instead for a bad symbol or missing data, with
+// bars in the internal ET-with-Z form, oldest first. intervalBars covers whole
+// trading days first…last; only cacheable providers feed the bar cache.
+// PROVIDER_ORDER picks the first available one per request; ?provider= forces one.
+
+let iqfeedProbe = { at: 0, ok: false };
+
+// Can IQConnect's lookup port be reached? Always a fresh check; /health uses it directly.
+async function probeIqfeed() {
+  const ok = await new Promise(resolve => {
+    const sock = new net.Socket();
+    sock.setTimeout(3000);
+    sock.connect(IQFEED_PORT, IQFEED_HOST, () => { sock.destroy(); resolve(true); });
+    sock.on('error', () => resolve(false));
+    sock.on('timeout', () => { sock.destroy(); resolve(false); });
+  });
+  iqfeedProbe = { at: Date.now(), ok };
+  return ok;
+}
+
+const iqfeedProvider = {
+  name: 'iqfeed',
+  cacheable: true,
+  available: () => (Date.now() - iqfeedProbe.at < IQFEED_PROBE_TTL_MS ? Promise.resolve(iqfeedProbe.ok) : probeIqfeed()),
+
+  async intervalBars(symbol, interval, first, last, sessions, stats) {
+    const reqId = `R${++requestCounter}`;
+    // Whole trading days for the asset class — 04:00–20:00 ET for equities,
+    // from the prior evening for futures/forex
+    const begin = iqfeedTime(first, sessions.all[0]);
+    const endTime = iqfeedTime(last, sessions.all[1]);
+    const raw = await iqfeedQueryWithRetry(`HIT,${symbol},${interval},${begin},${endTime},,,,1,${reqId}`);
+    return iqfeedErrorResult(raw, reqId) || { bars: parseBars(raw, reqId, 6, stats), complete: isCompleteResponse(raw, reqId) };
+  },
+
+  async dailyBars(symbol, start, end) {
+    const reqId = `R${++requestCounter}`;
+    // HDT,symbol,begin,end,maxDatapoints,direction(1 = oldest first),reqId
+    const raw = await iqfeedQueryWithRetry(`HDT,${symbol},${start},${end},,1,${reqId}`);
+    return iqfeedErrorResult(raw, reqId) || { bars: parseBars(raw, reqId, 5) };
+  },
+
+  async weeklyBars(symbol, start, end) {
+    // HWX has no date range — ask for enough weeks to reach back to `start`, then trim
+    const startMs = Date.UTC(+start.slice(0, 4), +start.slice(4, 6) - 1, +start.slice(6, 8));
+    const weeks = Math.ceil((Date.now() - startMs) / (7 * 86400000)) + 1;
+    if (weeks < 1) return { bars: [] };
+
+    const reqId = `R${++requestCounter}`;
+    // HWX,symbol,maxDatapoints,direction(1 = oldest first),reqId
+    const raw = await iqfeedQueryWithRetry(`HWX,${symbol},${weeks},1,${reqId}`);
+    return iqfeedErrorResult(raw, reqId) || { bars: parseBars(raw, reqId, 5).filter(bar => barDay(bar) >= start && barDay(bar) <= end) };
+  }
+};
+
+// File provider: CSV / AmiBroker ASCII exports in FILES_DIR, one file per
+// symbol and bar size —
+//   <SYMBOL>_<seconds>.csv|.txt   intraday (AAPL_60.csv, @ES#_300.txt)
+//   <SYMBOL>.csv|.txt             daily (weekly bars are built from it)
+// A header line names the columns (Ticker, Date, Time, Open, High, Low, Close,
+// Volume, or one Date/Time column; <DTYYYYMMDD>-style names work too); without
+// one, AmiBroker's default export order Ticker,Date,Time,Open,High,Low,Close,Volume
+// is assumed (daily files: no Time). Dates YYYYMMDD, YYYY-MM-DD or MM/DD/YYYY;
+// times HH:MM[:SS] or HHMM[SS], ET wall clock. Intraday stamps mark the bar start
+// (AmiBroker's default) unless FILES_BAR_TIME is "end" (IQFeed's). Intraday
+// requests use the coarsest file that divides the interval and aggregate it.
+
+const FILE_COLUMNS = {
+  date: ['date', 'dateymd', 'datemdy', 'dtyyyymmdd', 'day'],
+  time: ['time'],
+  datetime: ['datetime', 'timestamp'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'last'],
+  volume: ['volume', 'vol', 'v']
+};
+const parsedFiles = new Map();   // path → { mtimeMs, bars }
+
+// Header line → { column: index }, or null when the line is data
+function fileColumns(fields) {
+  if (fields.some(f => /^[\d.:/-]+$/.test(f))) return null;
+  const names = fields.map(f => f.toLowerCase().replace(/[^a-z]/g, ''));
+  if (!names.some(n => FILE_COLUMNS.close.includes(n))) return null;
+  const cols = {};
+  for (const [col, aliases] of Object.entries(FILE_COLUMNS)) {
+    const idx = names.findIndex(n => aliases.includes(n));
+    if (idx >= 0) cols[col] = idx;
+  }
+  return cols;
+}
+
+// "20260209" / "2026-02-09" / "02/09/2026" → "2026-02-09"
+function fileDate(value) {
+  let m = value.match(/^(\d{4})-?(\d{2})-?(\d{2})$/) || value.match(/^(\d{4})\/(\d{2})\/(\d{2})$/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : null;
+}
+
+// "09:35" / "09:35:00" / "0935" / "093500" → seconds after midnight
+function fileTime(value) {
+  const m = value.match(/^(\d{1,2}):?(\d{2})(?::?(\d{2}))?$/);
+  return m && +m[1] < 24 ? +m[1] * 3600 + +m[2] * 60 + (+m[3] || 0) : null;
+}
+
+// File text → internal bars (end-stamped for intraday), oldest first
+function parseBarFile(text, intervalSeconds) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const header = fileColumns(lines[0].split(',').map(f => f.trim()));
+  const cols = header || (intervalSeconds
+    ? { date: 1, time: 2, open: 3, high: 4, low: 5, close: 6, volume: 7 }
+    : { date: 1, open: 2, high: 3, low: 4, close: 5, volume: 6 });
+  const shift = intervalSeconds && FILES_BAR_TIME === 'start' ? intervalSeconds : 0;
+
+  const bars = [];
+  for (const line of header ? lines.slice(1) : lines) {
+    const p = line.split(',').map(f => f.trim());
+    const [dateField, timeField] = cols.datetime !== undefined
+      ? (p[cols.datetime] || '').split(/[ T]/)
+      : [p[cols.date] || '', p[cols.time]];
+    const date = fileDate(dateField);
+    const seconds = intervalSeconds ? fileTime(timeField || '') : 0;
+    const bar = {
+      open: parseFloat(p[cols.open]), high: parseFloat(p[cols.high]),
+      low: parseFloat(p[cols.low]), close: parseFloat(p[cols.close]),
+      volume: parseInt(p[cols.volume]) || 0
+    };
+    if (!date || seconds === null || [bar.open, bar.high, bar.low, bar.close].some(isNaN)) continue;
+    const time = new Date(Date.parse(`${date}T00:00:00Z`) + (seconds + shift) * 1000).toISOString().slice(0, 19) + 'Z';
+    bars.push({ time, ...bar });
+  }
+  return bars.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+}
+
+// Export files for a symbol: { daily: path|null, intraday: [{ seconds, file }] }
+function symbolFiles(symbol) {
+  const found = { daily: null, intraday: [] };
+  let names;
+  try {
+    names = fs.readdirSync(FILES_DIR);
+  } catch {
+    return found;
+  }
+  const upper = symbol.toUpperCase();
+  for (const name of names) {
+    const m = name.match(/^(.+?)(?:_(\d+))?\.(csv|txt)$/i);
+    if (!m || m[1].toUpperCase() !== upper) continue;
+    if (m[2]) found.intraday.push({ seconds: +m[2], file: path.join(FILES_DIR, name) });
+    else found.daily = path.join(FILES_DIR, name);
+  }
+  return found;
+}
+
+// Parsed once per file version — exports get rewritten in place
+function readBarFile(file, intervalSeconds) {
+  const { mtimeMs } = fs.statSync(file);
+  const hit = parsedFiles.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.bars;
+  const bars = parseBarFile(fs.readFileSync(file, 'latin1'), intervalSeconds);
+  parsedFiles.set(file, { mtimeMs, bars });
+  return bars;
+}
+
+// Aggregates end-stamped bars into `seconds` buckets aligned to midnight ET
+function aggregateBars(bars, seconds) {
+  const out = [];
+  for (const bar of bars) {
+    const ms = Date.parse(bar.time);
+    const time = new Date(Math.ceil(ms / (seconds * 1000)) * seconds * 1000).toISOString().slice(0, 19) + 'Z';
+    const last = out[out.length - 1];
+    if (last && last.time === time) {
+      last.high = Math.max(last.high, bar.high);
+      last.low = Math.min(last.low, bar.low);
+      last.close = bar.close;
+      last.volume += bar.volume;
+    } else {
+      out.push({ ...bar, time });
+    }
+  }
+  return out;
+}
+
+const filesProvider = {
+  name: 'files',
+  cacheable: false,
+  available: () => Promise.resolve(fs.existsSync(FILES_DIR) && fs.statSync(FILES_DIR).isDirectory()),
+
+  async intervalBars(symbol, interval, first, last, sessions) {
+    const source = symbolFiles(symbol).intraday
+      .filter(f => interval % f.seconds === 0)
+      .sort((a, b) => b.seconds - a.seconds)[0];
+    if (!source) {
+      return { error: `No ${interval}s (or finer dividing) bar file for ${symbol} in ${FILES_DIR}`, status: 404 };
+    }
+    const bars = readBarFile(source.file, source.seconds).filter(bar => {
+      const { day } = barPosition(bar, source.seconds, sessions);
+      return day >= first && day <= last;
+    });
+    return { bars: source.seconds === +interval ? bars : aggregateBars(bars, +interval), complete: true };
+  },
+
+  async dailyBars(symbol, start, end) {
+    const file = symbolFiles(symbol).daily;
+    if (!file) return { error: `No daily bar file for ${symbol} in ${FILES_DIR}`, status: 404 };
+    return { bars: readBarFile(file, 0).filter(bar => barDay(bar) >= start && barDay(bar) <= end) };
+  },
+
+  // Monday–Friday weeks, stamped with the week's last day in the file
+  async weeklyBars(symbol, start, end) {
+    const daily = await filesProvider.dailyBars(symbol, start, end);
+    if (daily.error) return daily;
+    const weeks = [];
+    let key = null;
+    for (const bar of daily.bars) {
+      const d = new Date(bar.time);
+      const monday = shiftDay(barDay(bar), -((d.getUTCDay() + 6) % 7));
+      if (monday !== key) {
+        key = monday;
+        weeks.push({ ...bar });
+        continue;
+      }
+      const week = weeks[weeks.length - 1];
+      week.time = bar.time;
+      week.high = Math.max(week.high, bar.high);
+      week.low = Math.min(week.low, bar.low);
+      week.close = bar.close;
+      week.volume += bar.volume;
+    }
+    return { bars: weeks };
+  }
+};
+
+const PROVIDERS = { iqfeed: iqfeedProvider, files: filesProvider };
+
+// → { provider } or { error, status }: the forced provider, else the first available one
+async function pickProvider(requested) {
+  if (requested) {
+    if (!PROVIDER_ORDER.includes(requested)) {
+      return { error: `Unknown provider ${requested} — use one of: ${PROVIDER_ORDER.join(', ')}`, status: 400 };
+    }
+    return { provider: PROVIDERS[requested] };
+  }
+  if (PROVIDER_ORDER.length === 1) return { provider: PROVIDERS[PROVIDER_ORDER[0]] };
+  for (const name of PROVIDER_ORDER) {
+    if (await PROVIDERS[name].available()) return { provider: PROVIDERS[name] };
+  }
+  return { error: `No data provider available (tried ${PROVIDER_ORDER.join(', ')})`, status: 503 };
+}
+
+// Labels the response with the provider(s) that served it
+function noteProvider(name) {
+  const store = requestScope.getStore();
+  if (!store || store.res.headersSent) return;
+  const current = store.res.getHeader('X-Data-Provider');
+  const names = new Set(current ? String(current).split(', ') : []);
+  names.add(name);
+  store.res.setHeader('X-Data-Provider', [...names].join(', '));
+}
+
+// ── News ───────────────────────────────────────────────────────
+// NHL (headlines) and NSY (story) lookups on the same port as history, in
+// text format. Headline lines: reqId,N,source,storyId,SYM1:SYM2,YYYYMMDDHHmmss,headline
+// (the headline itself may contain commas). Story lines: reqId,S,SYM1:SYM2 once,
+// then reqId,T,<text> per line. Stories never change and past-dated headline
+// queries are final, so both are cached on disk like completed bar days.
+
+function parseHeadlines(raw, reqId) {
+  const rows = [];
+  for (const line of raw.split('\n')) {
+    let p = line.trim().split(',');
+    if (p[0] === reqId) p = p.slice(1);
+    if (p[0] !== 'N') continue;
+    const [, source, id, symbols, ts] = p;
+    if (!/^\d{14}$/.test(ts || '')) continue;
+    rows.push({
+      time: `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}T${ts.slice(8, 10)}:${ts.slice(10, 12)}:${ts.slice(12, 14)}Z`,
+      id, source,
+      symbols: symbols.split(':').filter(Boolean),
+      headline: p.slice(5).join(',').trim()
+    });
+  }
+  return rows;
+}
+
+function parseStory(raw, reqId) {
+  let symbols = [];
+  const text = [];
+  for (const line of raw.split('\n')) {
+    let p = line.replace(/\r$/, '').split(',');
+    if (p[0] === reqId) p = p.slice(1);
+    if (p[0] === 'S') symbols = (p[1] || '').split(':').filter(Boolean);
+    else if (p[0] === 'T') text.push(p.slice(1).join(','));
+  }
+  return { symbols, text: text.join('\n').trim() };
+}
+
+function newsCacheFile(kind, key) {
+  return path.join(NEWS_CACHE_DIR, kind, `${key}.json`);
+}
+
+function readNewsCache(kind, key) {
+  try {
+    return JSON.parse(fs.readFileSync(newsCacheFile(kind, key), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeNewsCache(kind, key, value) {
+  const file = newsCacheFile(kind, key);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(value), 'utf8');
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (err) {
+    console.error(`[cache] Failed to write ${file}: ${err.message}`);
+  }
+}
+
+// ── Options ────────────────────────────────────────────────────
+// CEO (equity/index option chain) answers with IQFeed option symbols in one
+// colon-separated list. Each symbol encodes its contract: root, YY, DD, a
+// month letter (A–L calls Jan–Dec, M–X puts Jan–Dec) and the strike —
+// AAPL2617B250 is the AAPL 2026-02-17 250 call.
+
+const OPTION_SYMBOL = /^([A-Z]{1,6})(\d{2})(\d{2})([A-X])(\d+(?:\.\d+)?)$/;
+
+function parseOptionSymbol(symbol) {
+  const m = symbol.match(OPTION_SYMBOL);
+  if (!m) return null;
+  const letter = m[4].charCodeAt(0) - 65;  // 0–11 calls, 12–23 puts
+  const month = String(letter % 12 + 1).padStart(2, '0');
+  return {
+    symbol,
+    root: m[1],
+    expiry: `20${m[2]}${month}${m[3]}`,
+    type: letter < 12 ? 'call' : 'put',
+    strike: parseFloat(m[5])
+  };
+}
+
+function parseChain(raw, reqId) {
+  const contracts = [];
+  for (const line of raw.split('\n')) {
+    let p = line.trim().split(',');
+    if (p[0] === reqId) p = p.slice(1);
+    if (p[0] === 'E' || line.includes('!ENDMSG!')) continue;
+    for (const token of p.join(':').split(':')) {
+      const contract = parseOptionSymbol(token.trim());
+      if (contract) contracts.push(contract);
+    }
+  }
+  return contracts;
+}
+
+// Latest Level 1 summary for each symbol over a short-lived watch on the
+// Level 1 port, separate from /stream's connection. Resolves
+// { quotes: Map(symbol → update | null when not found), complete, error }.
+function level1Snapshot(symbols, timeout = LEVEL1_SNAPSHOT_MS) {
+  return new Promise(resolve => {
+    const quotes = new Map();
+    const pending = new Set(symbols);
+    const sock = new net.Socket();
+    let buffer = '';
+    let done = false;
+
+    const finish = error => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (sock.writable) sock.write(symbols.map(sym => `r${sym}\r\n`).join(''));
+      sock.destroy();
+      resolve({ quotes, complete: pending.size === 0, error: error || null });
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+
+    sock.connect(LEVEL1_PORT, IQFEED_HOST, () => {
+      sock.write('S,SET PROTOCOL,6.2\r\n');
+      sock.write(`S,SELECT UPDATE FIELDS,${LEVEL1_FIELDS.join(',')}\r\n`);
+      sock.write(symbols.map(sym => `w${sym}\r\n`).join(''));
+    });
+
+    sock.on('data', chunk => {
+      buffer += chunk.toString('latin1');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const l = line.trim();
+        if (l.startsWith('n,')) {
+          const sym = l.split(',')[1];
+          quotes.set(sym, null);
+          pending.delete(sym);
+          continue;
+        }
+        const update = parseLevel1(l);
+        if (update && pending.has(update.symbol)) {
+          quotes.set(update.symbol, update);
+          pending.delete(update.symbol);
+        }
+      }
+      if (pending.size === 0) finish(null);
+    });
+
+    sock.on('error', err => finish(`Level 1 snapshot failed: ${err.message}`));
+    sock.on('close', () => finish(null));
+  });
+}
+
+// ── Level 1 streaming ──────────────────────────────────────────
+// One shared socket to IQFeed's Level 1 port carries the union of every SSE
+// client's watch list. Symbols are reference-counted by client, so a symbol
+// is only unwatched on IQFeed once the last client drops it.
+
+const LEVEL1_FIELDS = [
+  'Most Recent Trade', 'Most Recent Trade Size', 'Most Recent Trade Time',
+  'Most Recent Trade Market Center', 'Total Volume', 'Bid', 'Bid Size', 'Ask', 'Ask Size',
+  'Open', 'High', 'Low', 'Close', 'Message Contents', 'Most Recent Trade Conditions'
+];
+
+const streamClients = new Map();   // clientId → { res, keyId, symbols: Set }
+const watchedSymbols = new Map();  // symbol → Set<clientId>
+let streamClientCounter = 0;
+let level1Sock = null;
+let level1Connected = false;
+let level1Buffer = '';
+let level1Retries = 0;
+let level1RetryTimer = null;
+
+function level1Connect() {
+  if (level1Sock || level1RetryTimer) return;
+
+  const sock = new net.Socket();
+  level1Sock = sock;
+  level1Buffer = '';
+
+  sock.connect(LEVEL1_PORT, IQFEED_HOST, () => {
+    level1Connected = true;
+    level1Retries = 0;
+    sock.write('S,SET PROTOCOL,6.2\r\n');
+    sock.write(`S,SELECT UPDATE FIELDS,${LEVEL1_FIELDS.join(',')}\r\n`);
+    for (const symbol of watchedSymbols.keys()) sock.write(`w${symbol}\r\n`);
+    console.log(`[level1] Connected, watching ${watchedSymbols.size} symbols`);
+  });
+
+  sock.on('data', chunk => {
+    level1Buffer += chunk.toString('latin1');
+    const lines = level1Buffer.split('\n');
+    level1Buffer = lines.pop();
+    for (const line of lines) handleLevel1Line(line.trim());
+  });
+
+  sock.on('error', err => console.error(`[level1] ${err.message}`));
+  sock.on('close', () => {
+    level1Sock = null;
+    level1Connected = false;
+    if (watchedSymbols.size === 0) return;
+
+    // Clients are still listening — reconnect with backoff (1s, 2s, 4s … 30s)
+    const delay = Math.min(30000, Math.pow(2, level1Retries++) * 1000);
+    broadcastAll('status', { level1: false, retryInMs: delay });
+    level1RetryTimer = setTimeout(() => {
+      level1RetryTimer = null;
+      if (watchedSymbols.size > 0) level1Connect();
+    }, delay);
+  });
+}
+
+function level1Send(command) {
+  if (level1Sock && level1Connected) level1Sock.write(command + '\r\n');
+}
+
+// Q (update) and P (summary) lines: type,symbol,<LEVEL1_FIELDS in order>
+function parseLevel1(line) {
+  const p = line.split(',');
+  if (p[0] !== 'Q' && p[0] !== 'P') return null;
+
+  const num = v => (v === undefined || v === '' ? null : parseFloat(v));
+  const int = v => (v === undefined || v === '' ? null : parseInt(v));
+  const contents = p[15] || '';
+
+  return {
+    symbol: p[1],
+    // Message Contents flags: C/E = trade (E = extended hours), b/a = bid/ask change
+    type: /[CE]/.test(contents) ? 'trade' : 'quote',
+    summary: p[0] === 'P',
+    last: num(p[2]),
+    lastSize: int(p[3]),
+    lastTime: p[4] || null,   // HH:MM:SS.ffffff ET
+    exchange: int(p[5]),
+    volume: int(p[6]),
+    bid: num(p[7]),
+    bidSize: int(p[8]),
+    ask: num(p[9]),
+    askSize: int(p[10]),
+    open: num(p[11]),
+    high: num(p[12]),
+    low: num(p[13]),
+    close: num(p[14]),
+    contents,
+    conditions: (p[16] || '').match(/[0-9A-Fa-f]{2}/g) || []
+  };
+}
+
+function handleLevel1Line(line) {
+  if (!line) return;
+  if (line.startsWith('n,')) {
+    const symbol = line.split(',')[1];
+    return broadcastSymbol(symbol, 'notfound', { symbol });
+  }
+  if (line.startsWith('E,')) {
+    console.error(`[level1] IQFeed error: ${line}`);
+    return broadcastAll('error', { message: line.slice(2) });
+  }
+  const update = parseLevel1(line);
+  if (update) broadcastSymbol(update.symbol, update.type, update);
+}
+
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastSymbol(symbol, event, data) {
+  for (const clientId of watchedSymbols.get(symbol) || []) {
+    const client = streamClients.get(clientId);
+    if (client) sseSend(client.res, event, data);
+  }
+}
+
+function broadcastAll(event, data) {
+  for (const client of streamClients.values()) sseSend(client.res, event, data);
+}
+
+// Returns an error string, or null when the symbol is now on the client's list
+function watchSymbol(clientId, symbol) {
+  const client = streamClients.get(clientId);
+  if (client.symbols.has(symbol)) return null;
+  if (client.symbols.size >= MAX_STREAM_SYMBOLS_PER_CLIENT) {
+    return `Client watch list is full (${MAX_STREAM_SYMBOLS_PER_CLIENT} symbols)`;
+  }
+  if (!watchedSymbols.has(symbol)) {
+    if (watchedSymbols.size >= MAX_STREAM_SYMBOLS) {
+      return `Bridge watch list is full (${MAX_STREAM_SYMBOLS} symbols)`;
+    }
+    watchedSymbols.set(symbol, new Set());
+    level1Send(`w${symbol}`);
+  }
+  watchedSymbols.get(symbol).add(clientId);
+  client.symbols.add(symbol);
+  level1Connect();
+  return null;
+}
+
+function unwatchSymbol(clientId, symbol) {
+  const client = streamClients.get(clientId);
+  if (client) client.symbols.delete(symbol);
+
+  const watchers = watchedSymbols.get(symbol);
+  if (!watchers) return;
+  watchers.delete(clientId);
+  if (watchers.size === 0) {
+    watchedSymbols.delete(symbol);
+    level1Send(`r${symbol}`);
+  }
+  if (watchedSymbols.size === 0 && level1Sock) level1Sock.destroy();
+}
+
+// Applies ?add=A,B&remove=C to a client; returns { added, removed, rejected }
+function applyWatchChanges(clientId, params) {
+  const split = v => (v || '').split(',').map(s => s.trim()).filter(Boolean);
+  const added = [];
+  const removed = [];
+  const rejected = [];
+
+  for (const symbol of split(params.get('remove'))) {
+    unwatchSymbol(clientId, symbol);
+    removed.push(symbol);
+  }
+  for (const symbol of split(params.get('add') || params.get('symbols'))) {
+    if (!classifySymbol(symbol)) {
+      rejected.push({ symbol, error: INVALID_SYMBOL });
+      continue;
+    }
+    const err = watchSymbol(clientId, symbol);
+    if (err) rejected.push({ symbol, error: err });
+    else added.push(symbol);
+  }
+  return { added, removed, rejected };
+}
+
+// ── Authentication ─────────────────────────────────────────────
+
+let authKeys = [];
+let authFileMtime = 0;
+const authStats = { unauthorized: 0, forbidden: 0 };
+const seenSignatures = new Map();   // signature → ms when its timestamp leaves the skew window
+
+// Re-reads the key file whenever its mtime changes. A broken file keeps the
+// previous keys rather than locking everyone out mid-rotation.
+function loadAuthKeys() {
+  let mtime;
+  try {
+    mtime = fs.statSync(AUTH_FILE).mtimeMs;
+  } catch {
+    authKeys = [];
+    authFileMtime = 0;
+    return authKeys;
+  }
+  if (mtime === authFileMtime) return authKeys;
+
+  try {
+    const { keys } = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf8'));
+    authKeys = (keys || []).filter(k => k && k.id && k.key);
+    authFileMtime = mtime;
+    console.log(`[auth] Loaded ${authKeys.length} API key(s) from ${AUTH_FILE}`);
+  } catch (err) {
+    console.error(`[auth] Failed to read ${AUTH_FILE}: ${err.message} — keeping previous keys`);
+  }
+  return authKeys;
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function keyIsActive(k) {
+  if (k.disabled) return false;
+  if (k.expires && Date.now() > new Date(k.expires).getTime()) return false;
+  return true;
+}
+
+function routeAllowed(k, pathname) {
+  const routes = k.routes || ['*'];
+  return routes.some(r => r === '*' || pathname === r || pathname.startsWith(r + '/'));
+}
+
+// Returns { key } on success or { error, status } for a 401/403 (413 for an
+// oversized signed body — the signature covers the body, so it's read here)
+async function authenticate(req, url) {
+  const keys = loadAuthKeys().filter(keyIsActive);
+  const h = req.headers;
+  let key = null;
+
+  if (h['x-signature']) {
+    const k = keys.find(k => k.id === h['x-key-id']);
+    const ts = parseInt(h['x-timestamp']);
+    if (!k || !ts) return { error: 'Unknown key id or missing timestamp', status: 401 };
+    if (Math.abs(Date.now() - ts * 1000) > HMAC_MAX_SKEW_MS) {
+      return { error: 'Signature timestamp outside allowed window', status: 401 };
+    }
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      return { error: err.message, status: err.status || 400 };
+    }
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+    const expected = crypto.createHmac('sha256', k.key)
+      .update(`${ts}\n${req.method}\n${url.pathname}${url.search}\n${bodyHash}`)
+      .digest('hex');
+    if (!safeEqual(expected, h['x-signature'])) return { error: 'Invalid signature', status: 401 };
+    // Within the skew window a captured request would otherwise replay freely
+    const now = Date.now();
+    for (const [sig, until] of seenSignatures) if (until < now) seenSignatures.delete(sig);
+    if (seenSignatures.has(expected)) return { error: 'Signature already used', status: 401 };
+    seenSignatures.set(expected, ts * 1000 + HMAC_MAX_SKEW_MS);
+    key = k;
+  } else {
+    const bearer = (h['authorization'] || '').match(/^Bearer\s+(.+)$/i);
+    const presented = h['x-api-key'] || (bearer && bearer[1]) ||
+      (QUERY_KEY_ROUTES.includes(url.pathname) && url.searchParams.get('key'));
+    if (!presented) return { error: 'Missing API key', status: 401 };
+    key = keys.find(k => safeEqual(k.key, presented));
+    if (!key) return { error: 'Invalid API key', status: 401 };
+  }
+
+  if (!routeAllowed(key, url.pathname)) {
+    return { error: `Key ${key.id} is not allowed on ${url.pathname}`, status: 403 };
+  }
+  return { key };
+}
+
+function recordAuthFailure(req, url, failure) {
+  if (failure.status === 403) authStats.forbidden++;
+  else authStats.unauthorized++;
+  const ip = req.headers['cf-connecting-ip'] || req.socket.remoteAddress;
+  console.warn(`[auth] ${new Date().toISOString()} ${failure.status} ${ip} ${req.method} ${url.pathname} — ${failure.error}`);
+}
+
+// ── Rate limiting ──────────────────────────────────────────────
+// Token bucket per API key. Returns 0 when the request may proceed, otherwise
+// the number of seconds until the next token is available.
+
+const rateBuckets = new Map();  // keyId → { tokens, updated }
+
+// The key's bucket, topped up for the time since it was last touched
+function refillBucket(key) {
+  const burst = (key.rateLimit && key.rateLimit.burst) || RATE_LIMIT_BURST;
+  const perMin = (key.rateLimit && key.rateLimit.perMinute) || RATE_LIMIT_PER_MIN;
+  const now = Date.now();
+
+  let bucket = rateBuckets.get(key.id);
+  if (!bucket) {
+    bucket = { tokens: burst, updated: now };
+    rateBuckets.set(key.id, bucket);
+  }
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updated) / 60000) * perMin);
+  bucket.updated = now;
+  return { bucket, perMin };
+}
+
+function takeToken(key) {
+  const { bucket, perMin } = refillBucket(key);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  limitStats.rateLimited++;
+  return Math.ceil(((1 - bucket.tokens) / perMin) * 60);
+}
+
+// Charges tokens on top of the one the request took, without waiting for them:
+// the bucket goes into debt and the key's next requests wait it off. A
+// /bars/batch pays per symbol this way, so batching doesn't get around the limit.
+function chargeTokens(key, n) {
+  refillBucket(key).bucket.tokens -= n;
+}
+
+// ── Metrics & access log ───────────────────────────────────────
+// Counters and histograms for GET /metrics (Prometheus text format), and one
+// JSON line per HTTP request in ACCESS_LOG_FILE, rotated by size.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const METRICS = {
+  iqfeed_bridge_http_requests_total: { type: 'counter', help: 'HTTP requests by route and status' },
+  iqfeed_bridge_http_request_duration_seconds: { type: 'histogram', help: 'HTTP request latency (streams and client hang-ups excluded)', buckets: LATENCY_BUCKETS },
+  iqfeed_bridge_iqfeed_requests_total: { type: 'counter', help: 'IQFeed lookups by command and outcome (complete, partial, error, aborted)' },
+  iqfeed_bridge_iqfeed_roundtrip_seconds: { type: 'histogram', help: 'IQFeed lookup round-trip time, excluding queue wait', buckets: LATENCY_BUCKETS },
+  iqfeed_bridge_iqfeed_retries_total: { type: 'counter', help: 'IQFeed lookup retries by command' },
+  iqfeed_bridge_rows_returned_total: { type: 'counter', help: 'Bars, ticks and other rows returned by route' },
+  iqfeed_bridge_cache_days_total: { type: 'counter', help: 'Bar days served from the cache (hit) or pulled from IQFeed (fetched)' },
+  iqfeed_bridge_errors_total: { type: 'counter', help: 'Error responses by cause' }
+};
+const metricSeries = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function metricInc(name, labels = {}, n = 1) {
+  const series = metricSeries.get(name);
+  const key = labelString(labels);
+  series.set(key, (series.get(key) || 0) + n);
+}
+
+function metricObserve(name, labels, value) {
+  const series = metricSeries.get(name);
+  const key = labelString(labels);
+  if (!series.has(key)) series.set(key, { labels, counts: METRICS[name].buckets.map(() => 0), sum: 0, count: 0 });
+  const h = series.get(key);
+  METRICS[name].buckets.forEach((le, i) => { if (value <= le) h.counts[i]++; });
+  h.sum += value;
+  h.count++;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const [name, def] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+    for (const [key, value] of metricSeries.get(name)) {
+      if (def.type !== 'histogram') {
+        lines.push(`${name}${key} ${value}`);
+        continue;
+      }
+      def.buckets.forEach((le, i) => lines.push(`${name}_bucket${labelString({ ...value.labels, le })} ${value.counts[i]}`));
+      lines.push(`${name}_bucket${labelString({ ...value.labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${name}_sum${key} ${+value.sum.toFixed(6)}`, `${name}_count${key} ${value.count}`);
+    }
+  }
+  const gauges = [
+    ['iqfeed_bridge_uptime_seconds', 'Seconds since the bridge started', Math.floor((Date.now() - startTime) / 1000)],
+    ['iqfeed_bridge_lookups_active', 'IQFeed lookups in flight', activeLookups],
+    ['iqfeed_bridge_lookups_queued', 'IQFeed lookups waiting for a slot', lookupQueue.length],
+    ['iqfeed_bridge_stream_clients', 'Connected /stream clients', streamClients.size],
+    ['iqfeed_bridge_stream_symbols', 'Symbols watched on the Level 1 feed', watchedSymbols.size],
+    ['iqfeed_bridge_level1_connected', '1 when the Level 1 socket is up', level1Connected ? 1 : 0]
+  ];
+  for (const [name, help, value] of gauges) lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`);
+  return lines.join('\n') + '\n';
+}
+
+// Maps an error response to the `cause` label
+function errorCause(status, message) {
+  if (status === 401) return 'unauthorized';
+  if (status === 403) return 'forbidden';
+  if (status === 404) return 'not_found';
+  if (status === 422) return 'data_quality';
+  if (status === 429) return /queue/.test(message) ? 'queue_full' : 'rate_limited';
+  if (status === 499) return 'client_closed';
+  if (status === 502) return 'iqfeed_error';
+  if (status >= 500) return 'iqfeed_unavailable';
+  return 'bad_request';
+}
+
+// Every error response goes through here: counted by cause, and 5xx ones
+// (including IQFeed failures returned as { error, status: 500 }) feed
+// errorCount / lastError on /status.
+function recordError(res, status, message, cause = errorCause(status, message)) {
+  metricInc('iqfeed_bridge_errors_total', { cause });
+  res.bridgeError = message;
+  if (status >= 500) {
+    errorCount++;
+    lastError = { message, time: new Date().toISOString() };
+  }
+}
+
+let accessLogBytes = null;
+
+function rotateAccessLog() {
+  for (let i = ACCESS_LOG_KEEP - 1; i >= 1; i--) {
+    if (fs.existsSync(`${ACCESS_LOG_FILE}.${i}`)) fs.renameSync(`${ACCESS_LOG_FILE}.${i}`, `${ACCESS_LOG_FILE}.${i + 1}`);
+  }
+  fs.renameSync(ACCESS_LOG_FILE, `${ACCESS_LOG_FILE}.1`);
+  accessLogBytes = 0;
+}
+
+function writeAccessLog(entry) {
+  if (ACCESS_LOG_FILE === 'off') return;
+  const line = JSON.stringify(entry) + '\n';
+  try {
+    if (accessLogBytes === null) {
+      fs.mkdirSync(path.dirname(ACCESS_LOG_FILE), { recursive: true });
+      accessLogBytes = fs.existsSync(ACCESS_LOG_FILE) ? fs.statSync(ACCESS_LOG_FILE).size : 0;
+    }
+    if (accessLogBytes > 0 && accessLogBytes + line.length > ACCESS_LOG_MAX_BYTES) rotateAccessLog();
+    fs.appendFileSync(ACCESS_LOG_FILE, line, 'utf8');
+    accessLogBytes += Buffer.byteLength(line);
+  } catch (err) {
+    console.error(`[access-log] ${err.message}`);
+  }
+}
+
+// ?key= is a credential — never write it to the log
+function redactedPath(url) {
+  const params = new URLSearchParams(url.searchParams);
+  if (params.has('key')) params.set('key', 'REDACTED');
+  const query = params.toString();
+  return query ? `${url.pathname}?${query}` : url.pathname;
+}
+
+// ── Response formats ───────────────────────────────────────────
+// Row routes (/bars, /daily, /weekly, /ticks) can answer as one JSON document,
+// NDJSON (one row per line, written as rows arrive) or CSV. Everything is
+// gzipped when the client sends Accept-Encoding: gzip.
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+const CONTENT_TYPES = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8'
+};
+const GZIP_MIN_BYTES = 1024;
+
+// ?format= wins; otherwise the Accept header picks ndjson/csv; json is the default
+function negotiateFormat(req, params) {
+  const requested = params.get('format');
+  if (requested) {
+    if (!FORMATS.includes(requested)) {
+      return { error: `Invalid format — use one of: ${FORMATS.join(', ')}`, status: 400 };
+    }
+    return { format: requested };
+  }
+  const accept = req.headers['accept'] || '';
+  if (/application\/(x-)?ndjson/.test(accept)) return { format: 'ndjson' };
+  if (/text\/csv/.test(accept)) return { format: 'csv' };
+  return { format: 'json' };
+}
+
+function acceptsGzip(req) {
+  return /\bgzip\b/.test(req.headers['accept-encoding'] || '');
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Incremental writer for row data. Headers go out with the first write, so a
+// handler can still fail with a normal status code until then. `writer.head`
+// fields open the JSON document; end(meta) closes it with the remaining fields.
+// NDJSON/CSV have nowhere to put meta, so only a mid-stream error is appended
+// (a final {"error"} line, or a "# error:" comment line for CSV).
+function createRowWriter(req, res, format) {
+  let out = res;
+  let columns = null;
+  let rowCount = 0;
+
+  const writer = {
+    started: false,
+    head: {},
+
+    get aborted() {
+      return res.destroyed;
+    },
+
+    start() {
+      if (writer.started) return;
+      writer.started = true;
+      res.setHeader('Content-Type', CONTENT_TYPES[format]);
+      res.setHeader('Vary', 'Accept, Accept-Encoding');
+      if (acceptsGzip(req)) {
+        res.setHeader('Content-Encoding', 'gzip');
+        // Sync-flush each batch so rows reach the client as they're written,
+        // not whenever gzip's window fills
+        out = zlib.createGzip({ flush: zlib.constants.Z_SYNC_FLUSH });
+        out.pipe(res);
+      }
+      res.writeHead(200);
+      if (format === 'json') {
+        const open = JSON.stringify(writer.head);
+        out.write(open === '{}' ? '{"data":[' : `${open.slice(0, -1)},"data":[`);
+      }
+    },
+
+    // Returns false when the client is applying backpressure (see onDrain)
+    write(rows) {
+      writer.start();
+      let chunk = '';
+      for (const row of rows) {
+        if (format === 'json') {
+          chunk += (rowCount > 0 ? ',' : '') + JSON.stringify(row);
+        } else if (format === 'ndjson') {
+          chunk += JSON.stringify(row) + '\n';
+        } else {
+          if (!columns) {
+            columns = Object.keys(row);
+            chunk += columns.join(',') + '\n';
+          }
+          chunk += columns.map(c => csvCell(row[c])).join(',') + '\n';
+        }
+        rowCount++;
+      }
+      return out.write(chunk);
+    },
+
+    onDrain(cb) {
+      out.once('drain', cb);
+    },
+
+    end(meta = {}) {
+      writer.start();
+      if (format === 'json') {
+        const close = JSON.stringify(meta);
+        out.end(close === '{}' ? ']}' : `],${close.slice(1)}`);
+      } else if (meta.error) {
+        out.end(format === 'ndjson'
+          ? JSON.stringify({ error: meta.error }) + '\n'
+          : `# error: ${meta.error}\n`);
+      } else {
+        out.end();
+      }
+    }
+  };
+  return writer;
+}
+
+// Buffered JSON response, gzipped when the client allows it and it's worth it
+// With `cache` (see cachePolicy) the response gets validators and may become a 304
+function sendJson(req, res, status, body, cache = null) {
+  let payload = Buffer.from(JSON.stringify(body));
+  if (!res.hasHeader('Vary')) res.setHeader('Vary', 'Accept-Encoding');
+  if (cache) {
+    const etag = bodyEtag(body);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', new Date(cache.lastModified).toUTCString());
+    res.setHeader('Cache-Control', cache.control);
+    if (notModified(req, etag, cache)) {
+      res.writeHead(304);
+      return res.end();
+    }
+  } else if (status >= 400) {
+    res.setHeader('Cache-Control', 'no-store');
+  }
+  if (acceptsGzip(req) && payload.length >= GZIP_MIN_BYTES) {
+    payload = zlib.gzipSync(payload);
+    res.setHeader('Content-Encoding', 'gzip');
+  }
+  res.writeHead(status);
+  res.end(payload);
+}
+
+// Reads the request body once (capped at MAX_BODY_BYTES); a signed request's
+// was already read by authenticate() to check the signature
+function readBody(req) {
+  if (!req.bodyText) {
+    req.bodyText = new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(Object.assign(new Error(`Request body over ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+  return req.bodyText;
+}
+
+// Reads and parses a JSON request body
+async function readJsonBody(req) {
+  const body = await readBody(req);
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+  }
+}
+
+// ── HTTP caching ───────────────────────────────────────────────
+// Buffered JSON answers to GETs carry a weak ETag — a hash of the whole body, so
+// a quality block that changes (truncated, then complete) changes it too — and a
+// matching If-None-Match gets 304. Bar ranges that end before the current session
+// are final: cacheable for a day, Last-Modified at that session's close, and
+// public so the Cloudflare edge can keep them. Everything else, today's partial
+// session included, must revalidate.
+// Streamed NDJSON/CSV go out before the body is known and carry no validators.
+
+const FINAL_MAX_AGE = 86400;
+const SESSION_ROUTES = ['/bars', '/indicators', '/daily', '/weekly'];
+
+// → { control, lastModified (ms) } for a 200 JSON result
+function cachePolicy(route, result) {
+  const now = Date.now();
+  const assetClass = SESSION_ROUTES.includes(route) && result.end ? classifySymbol(result.symbol) : null;
+  if (!assetClass) return { control: 'no-cache', lastModified: now };
+
+  // A weekly bar keeps forming until its Friday
+  const weekday = new Date(Date.UTC(+result.end.slice(0, 4), +result.end.slice(4, 6) - 1, +result.end.slice(6, 8))).getUTCDay();
+  const lastDay = route === '/weekly' ? shiftDay(result.end, 5 - weekday) : result.end;
+  const truncated = result.quality && result.quality.truncated;
+  if (lastDay >= etToday() || truncated) return { control: 'no-cache', lastModified: now };
+
+  const close = sessionsOn(assetClass, lastDay).all[1];
+  const closedAt = wallClockToEpoch(dayMinuteToDate(lastDay, close).toISOString());
+  return { control: `public, max-age=${FINAL_MAX_AGE}`, lastModified: Math.min(closedAt, now) };
+}
+
+function bodyEtag(body) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(body));
+  return `W/"${hash.digest('base64url').slice(0, 27)}"`;
+}
+
+// If-None-Match wins; If-Modified-Since only counts for final (max-age) answers
+function notModified(req, etag, cache) {
+  const match = req.headers['if-none-match'];
+  if (match) {
+    const tag = etag.replace(/^W\//, '');
+    return match.trim() === '*' || match.split(',').some(t => t.trim().replace(/^W\//, '') === tag);
+  }
+  const since = Date.parse(req.headers['if-modified-since'] || '');
+  return cache.control !== 'no-cache' && !isNaN(since) && Math.floor(cache.lastModified / 1000) * 1000 <= since;
+}
+
+// ── Handlers ───────────────────────────────────────────────────
+// ?name= as a YYYYMMDD that names a real day — 20260230 must not roll over
+// into March. Returns an error result, or null when the date is fine.
+function dateParamError(name, value) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  const d = m && new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  if (d && d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3]) return null;
+  return { error: `Invalid ${name} — use a real date as YYYYMMDD (got ${value})`, status: 400 };
+}
+
+// ?limit= as a whole number from 1 to max (absent → fallback). Returns { limit } or an error.
+function limitParam(params, fallback, max) {
+  const raw = params.get('limit');
+  if (raw === null || raw === '') return { limit: fallback };
+  const limit = /^\d+$/.test(raw) ? Number(raw) : 0;
+  if (!(limit >= 1 && limit <= max)) {
+    return { error: `Invalid limit — use 1-${max}`, status: 400 };
+  }
+  return { limit };
+}
+
+// Shared symbol/start/end validation for every bar route
+function validateBarParams(params) {
+  const symbol = params.get('symbol');
+  const start = params.get('start');   // YYYYMMDD
+  const end = params.get('end');       // YYYYMMDD
+
+  if (!symbol || !start || !end) {
+    return { error: 'Need symbol, start, end params', status: 400 };
+  }
+  const assetClass = classifySymbol(symbol);
+  if (!assetClass) {
+    return { error: INVALID_SYMBOL, status: 400 };
+  }
+  const dateError = dateParamError('start', start) || dateParamError('end', end);
+  if (dateError) return dateError;
+  if (start > end) {
+    return { error: 'start must not be after end', status: 400 };
+  }
+  const timeOpts = timeOptions(params);
+  if (timeOpts.error) return timeOpts;
+
+  // Snap the range inward to the exchange's trading days
+  const exchange = ASSET_CLASSES[assetClass].calendar;
+  const days = tradingDays(exchange, start, end);
+  if (days.length === 0) {
+    return { error: `No ${exchange} trading days from ${start} to ${end}${closedReason(exchange, start, end)}`, status: 400 };
+  }
+  return { symbol, assetClass, start: days[0], end: days[days.length - 1], days, timeOpts };
+}
+
+// onBars (optional) receives each ordered batch of bars as soon as it is
+// ready — the NDJSON/CSV writers stream from it. The full result is still returned.
+async function handleBars(params, onBars) {
+  const valid = validateBarParams(params);
+  if (valid.error) return valid;
+  const { symbol, assetClass, start, end, days: allDays, timeOpts } = valid;
+  const sessions = ASSET_CLASSES[assetClass].sessions;
+  const refresh = params.get('refresh') === '1';
+  const session = params.get('session') || 'all';
+  const withVwap = params.get('vwap') === '1';
+  const strict = params.get('strict') === '1' || params.get('strict') === 'true';
+
+  const target = parseInterval(params.get('interval') || '300');
+  if (!target || target % 60 !== 0 || target > MAX_RESAMPLE_SECONDS) {
+    return {
+      error: `Invalid interval — use seconds (${NATIVE_INTERVALS.join(', ')}) or a whole number of minutes/hours up to 8h, e.g. 2m, 13m, 65m, 4h`,
+      status: 400
+    };
+  }
+  if (!sessions[session]) {
+    return { error: `Invalid session — use one of: ${Object.keys(sessions).join(', ')}`, status: 400 };
+  }
+  // Non-native intervals are built from the largest native interval that divides them
+  const interval = String(baseIntervalFor(target, sessions[session][0]));
+  const chosen = await pickProvider(params.get('provider'));
+  if (chosen.error) return chosen;
+  const { provider } = chosen;
+  noteProvider(provider.name);
+
+  const today = etToday();
+  const barsByDay = new Map();
+  const missing = [];
+
+  for (const day of allDays) {
+    const cached = provider.cacheable && day < today && !refresh ? readCachedDay(symbol, interval, day) : null;
+    if (cached) barsByDay.set(day, cached);
+    else missing.push(day);
+  }
+
+  // Walk the range in order so streamed formats get bars oldest-first:
+  // cached days go out as-is, each run of missing days is one provider request.
+  // Streamed formats ask for one day at a time instead, so the first rows go out
+  // as soon as IQFeed has answered for the first day rather than for the whole run.
+  // Strict mode holds everything back until the quality check has passed.
+  const data = [];
+  const baseBars = [];
+  const replyStats = { unparsed: 0, truncated: false };
+  const streaming = onBars && !strict;
+  const emit = (rows, day) => {
+    baseBars.push(...rows);
+    const out = presentTimes(shapeBars(rows, +interval, target, sessionsOn(assetClass, day), session, withVwap), timeOpts);
+    data.push(...out);
+    if (streaming && out.length) onBars(out);
+  };
+  const runs = new Map((streaming ? missing.map(day => [day, day]) : groupRuns(missing, allDays)).map(run => [run[0], run]));
+
+  try {
+    for (let i = 0; i < allDays.length; i++) {
+      if (!runs.has(allDays[i])) {
+        emit(barsByDay.get(allDays[i]), allDays[i]);
+        continue;
+      }
+
+      const [first, last] = runs.get(allDays[i]);
+      const reply = await provider.intervalBars(symbol, interval, first, last, sessions, replyStats);
+      if (reply.error) return reply;
+
+      const runDays = allDays.slice(i, allDays.indexOf(last) + 1);
+      for (const day of runDays) barsByDay.set(day, []);
+      for (const bar of reply.bars) {
+        const { day } = barPosition(bar, +interval, sessions);
+        if (barsByDay.has(day)) barsByDay.get(day).push(bar);
+      }
+
+      // Past sessions are final — persist them so the next request skips IQFeed
+      if (reply.complete) {
+        for (const day of runDays) {
+          if (provider.cacheable && day < today) writeCachedDay(symbol, interval, day, barsByDay.get(day));
+        }
+      } else {
+        replyStats.truncated = true;
+      }
+
+      for (const day of runDays) emit(barsByDay.get(day), day);
+      i += runDays.length - 1;
+    }
+  } catch (err) {
+    return lookupError(err);
+  }
+
+  if (provider.cacheable) {
+    metricInc('iqfeed_bridge_cache_days_total', { result: 'hit' }, allDays.length - missing.length);
+    metricInc('iqfeed_bridge_cache_days_total', { result: 'fetched' }, missing.length);
+  }
+  const quality = assessBars(baseBars, +interval, assetClass, session, allDays, timeOpts, replyStats);
+  if (strict) {
+    if (!quality.ok) {
+      return { error: `Data quality check failed: ${qualitySummary(quality)}`, status: 422, quality };
+    }
+    if (onBars && data.length) onBars(data);
+  }
+
+  return {
+    data, count: data.length, symbol, assetClass, start, end, interval: target, session, tz: timeOpts.tz,
+    provider: provider.name,
+    cache: { hitDays: allDays.length - missing.length, fetchedDays: missing.length },
+    quality
+  };
+}
+
+// GET /indicators — fetches bars through handleBars (same params) and returns
+// the requested studies aligned to each bar's timestamp. Bars are pulled in
+// internal ET form so VWAP can reset on the asset class's trading day, then
+// presented in the caller's tz like /bars.
+async function handleIndicators(params, onRows) {
+  const parsed = parseStudies(params.get('study'));
+  if (parsed.error) return { error: parsed.error, status: 400 };
+  const timeOpts = timeOptions(params);
+  if (timeOpts.error) return timeOpts;
+
+  const barParams = new URLSearchParams(params);
+  barParams.set('legacyTime', '1');
+  barParams.delete('format');
+  const result = await handleBars(barParams);
+  if (result.error) return result;
+
+  const bars = result.data;
+  const sessions = ASSET_CLASSES[result.assetClass].sessions;
+  // Any bar's final minute lies inside its own trading day
+  const dayOf = bar => barPosition(bar, 60, sessions).day;
+  const columns = parsed.studies.map(st => ({ key: st.key, values: STUDIES[st.name].compute(bars, st.period, dayOf) }));
+  const withBars = params.get('bars') === '1';
+
+  const rows = presentTimes(bars.map((bar, i) => {
+    const row = withBars ? { ...bar } : { time: bar.time };
+    for (const col of columns) row[col.key] = round4(col.values[i]);
+    return row;
+  }), timeOpts);
+  if (onRows && rows.length) onRows(rows);
+
+  return {
+    data: rows, count: rows.length, symbol: result.symbol, assetClass: result.assetClass,
+    start: result.start, end: result.end, interval: result.interval, session: result.session,
+    tz: timeOpts.tz, studies: parsed.studies.map(st => st.key), provider: result.provider, quality: result.quality
+  };
+}
+
+// /daily and /weekly share everything but the provider call
+async function handlePeriodBars(params, onBars, fetchBars) {
+  const valid = validateBarParams(params);
+  if (valid.error) return valid;
+  const { symbol, start, end, timeOpts } = valid;
+  const chosen = await pickProvider(params.get('provider'));
+  if (chosen.error) return chosen;
+  const { provider } = chosen;
+  noteProvider(provider.name);
+
+  try {
+    const reply = await fetchBars(provider, symbol, start, end);
+    if (reply.error) return reply;
+    const bars = presentTimes(reply.bars, timeOpts);
+    if (onBars && bars.length) onBars(bars);
+    return { data: bars, count: bars.length, symbol, start, end, tz: timeOpts.tz, provider: provider.name };
+  } catch (err) {
+    return lookupError(err);
+  }
+}
+
+function handleDaily(params, onBars) {
+  return handlePeriodBars(params, onBars, (provider, ...args) => provider.dailyBars(...args));
+}
+
+function handleWeekly(params, onBars) {
+  return handlePeriodBars(params, onBars, (provider, ...args) => provider.weeklyBars(...args));
+}
+
+// Runs fn over items a few at a time (the lookup queue still caps IQFeed
+// itself) and returns the results in input order
+async function mapConcurrently(items, fn, limit = MAX_CONCURRENT_LOOKUPS) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// POST /bars/batch — body: { symbols: ["AAPL", { symbol: "MSFT", start, end }], start, end, ...}
+// Top-level fields are shared /bars params; object entries override them per
+// symbol. Symbols run through handleBars a few at a time (the lookup queue
+// still caps IQFeed), and each gets its own result or error — one bad ticker
+// never fails the batch. onResult (NDJSON) receives each result as it finishes.
+async function handleBarsBatch(req, key, onResult) {
+  if (req.method !== 'POST') {
+    return { error: 'Use POST with a JSON body', status: 405 };
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    return { error: err.message, status: err.status || 400 };
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a JSON object', status: 400 };
+  }
+
+  const { symbols, ...shared } = body;
+  if (!Array.isArray(symbols) || symbols.length === 0) {
+    return { error: 'Need a non-empty symbols array', status: 400 };
+  }
+  if (symbols.length > MAX_BATCH_SYMBOLS) {
+    return { error: `Too many symbols — max ${MAX_BATCH_SYMBOLS} per batch`, status: 400 };
+  }
+  chargeTokens(key, symbols.length - 1);   // the request itself took the first
+
+  const toParams = fields => {
+    const params = new URLSearchParams();
+    for (const [k, v] of Object.entries(fields)) {
+      if (v === undefined || v === null) continue;
+      params.set(k, v === true ? '1' : v === false ? '0' : String(v));
+    }
+    return params;
+  };
+
+  const results = await mapConcurrently(symbols, async item => {
+    const entry = typeof item === 'string' ? { symbol: item } : (item || {});
+    const result = await handleBars(toParams({ ...shared, ...entry }));
+    const status = result.status || 200;
+    delete result.status;
+    delete result.retryAfter;
+    const out = { symbol: entry.symbol || null, status, ...result };
+    if (onResult) onResult(out);
+    return out;
+  });
+
+  const failed = results.filter(r => r.error).length;
+  return { results, ok: results.length - failed, failed };
+}
+
+// One /scan entry. Three lookups, all through the cached handlers, so a
+// morning rerun only re-pulls the scan day itself.
+async function scanSymbol(symbol, day, orbMinutes) {
+  const assetClass = classifySymbol(symbol);
+  if (!assetClass) return { error: INVALID_SYMBOL, status: 400 };
+  const sessions = ASSET_CLASSES[assetClass].sessions;
+  const [pmOpen, pmClose] = sessions.premarket;
+  const [rthOpen, rthClose] = sessionsOn(assetClass, day).rth;
+  const { calendar } = ASSET_CLASSES[assetClass];
+  const historyStart = shiftTradingDay(calendar, day, -RVOL_DAYS);
+  const prevDay = shiftTradingDay(calendar, day, -1);
+  const query = fields => new URLSearchParams({ symbol, legacyTime: '1', ...fields });
+
+  const daily = await handleDaily(query({ start: historyStart, end: prevDay }));
+  if (daily.error) return daily;
+  const history = await handleBars(query({ start: historyStart, end: prevDay, interval: '300', session: 'premarket' }));
+  if (history.error) return history;
+  const intraday = await handleBars(query({ start: day, end: day, interval: '60' }));
+  if (intraday.error) return intraday;
+
+  const priorClose = daily.data.length ? daily.data[daily.data.length - 1].close : null;
+  const clock = etMinuteOf(day);
+
+  // Prior sessions only count up to the scan day's time of day, so a scan at
+  // 08:00 isn't measured against full pre-markets. The 5-minute bar spanning
+  // the cut-off counts pro rata.
+  const premarketByDay = new Map();
+  for (const bar of history.data) {
+    const { day: pmDay, minute } = barPosition(bar, 300, sessions);
+    if (minute >= clock) continue;
+    const volume = clock < minute + 5 ? bar.volume * (clock - minute) / 5 : bar.volume;
+    premarketByDay.set(pmDay, (premarketByDay.get(pmDay) || 0) + volume);
+  }
+  const priorVolumes = [...premarketByDay.values()].filter(v => v > 0).slice(-RVOL_DAYS);
+  const avgPremarketVolume = priorVolumes.length
+    ? Math.round(priorVolumes.reduce((a, v) => a + v, 0) / priorVolumes.length)
+    : null;
+
+  const positioned = intraday.data.map(bar => ({ bar, minute: barPosition(bar, 60, sessions).minute }));
+  const premarketBars = positioned.filter(p => p.minute >= pmOpen && p.minute < pmClose).map(p => p.bar);
+  const rthBars = positioned.filter(p => p.minute >= rthOpen && p.minute < rthClose);
+  const premarketVolume = premarketBars.reduce((a, b) => a + b.volume, 0);
+  const premarketLast = premarketBars.length ? premarketBars[premarketBars.length - 1].close : null;
+  const open = rthBars.length ? rthBars[0].bar.open : null;
+  const last = positioned.length ? positioned[positioned.length - 1].bar.close : null;
+
+  // Gap against the opening print once there is one, the last pre-market trade before that
+  const gapFrom = open !== null ? open : premarketLast;
+  const gapPct = priorClose && gapFrom !== null ? +((gapFrom - priorClose) / priorClose * 100).toFixed(2) : null;
+
+  let orb = null;
+  if (clock >= rthOpen) {
+    orb = {};
+    for (const minutes of orbMinutes) {
+      const inWindow = rthBars.filter(p => p.minute < rthOpen + minutes).map(p => p.bar);
+      orb[minutes] = { ...barRange(inWindow), complete: clock >= rthOpen + minutes };
+    }
+  }
+
+  return {
+    symbol, assetClass, priorClose,
+    premarket: { ...barRange(premarketBars), volume: premarketVolume, last: premarketLast },
+    open, last,
+    gapPct,
+    gapBasis: open !== null ? 'open' : premarketLast !== null ? 'premarket' : null,
+    avgPremarketVolume,
+    rvol: avgPremarketVolume ? +(premarketVolume / avgPremarketVolume).toFixed(2) : null,
+    orb
+  };
+}
+
+// GET /scan?symbols=AAPL,MSFT,TSLA — one summary per symbol for the scan day
+// (default today ET). Symbols fail independently, like /bars/batch; errored
+// entries sort last.
+async function handleScan(params) {
+  const symbols = (params.get('symbols') || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (symbols.length === 0) {
+    return { error: 'Need symbols param, e.g. symbols=AAPL,MSFT,TSLA', status: 400 };
+  }
+  if (symbols.length > MAX_BATCH_SYMBOLS) {
+    return { error: `Too many symbols — max ${MAX_BATCH_SYMBOLS} per scan`, status: 400 };
+  }
+
+  // Default: today, or the last NYSE session when today is a weekend/holiday
+  const date = params.get('date') || shiftTradingDay('NYSE', shiftDay(etToday(), 1), -1);
+  const dateError = dateParamError('date', date);
+  if (dateError) return dateError;
+
+  const orbParam = params.get('orb');
+  const orbMinutes = orbParam ? orbParam.split(',').map(Number) : DEFAULT_ORB_MINUTES;
+  if (!orbMinutes.every(m => Number.isInteger(m) && m >= 1 && m <= MAX_ORB_MINUTES)) {
+    return { error: `Invalid orb — use comma-separated minutes from 1 to ${MAX_ORB_MINUTES}, e.g. 1,5,15,30`, status: 400 };
+  }
+
+  const sort = params.get('sort') || 'gap';
+  if (!SCAN_SORTS[sort]) {
+    return { error: `Invalid sort — use one of: ${Object.keys(SCAN_SORTS).join(', ')}`, status: 400 };
+  }
+  const order = params.get('order') || (sort === 'symbol' ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'Invalid order — use asc or desc', status: 400 };
+  }
+
+  const results = await mapConcurrently(symbols, async symbol => {
+    const result = await scanSymbol(symbol, date, orbMinutes);
+    if (!result.error) return { ...result, status: 200 };
+    return { symbol, status: result.status || 500, error: result.error };
+  });
+
+  // Nulls (no prior close, no pre-market history) and errors go last whatever the order
+  const key = SCAN_SORTS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  results.sort((a, b) => {
+    const ka = a.error ? null : key(a);
+    const kb = b.error ? null : key(b);
+    if (ka === null || kb === null) return (ka === null) - (kb === null);
+    return (ka < kb ? -1 : ka > kb ? 1 : 0) * direction;
+  });
+
+  const failed = results.filter(r => r.error).length;
+  return { date, sort, order, results, ok: results.length - failed, failed };
+}
+
+// Streams ticks straight from the IQFeed socket to the client through a row
+// writer — as JSON that's { symbol, tz, data: [ ...ticks ], count, complete }.
+// Errors after the first byte can't change the status code, so they land in
+// the writer's trailer. Returns nothing once the response has been written.
+async function handleTicks(params, writer) {
+  const symbol = params.get('symbol');
+  const start = params.get('start');   // YYYYMMDD
+  const end = params.get('end') || start;
+  const days = params.get('days');
+  const from = params.get('from') || '';  // HHmmss, daily filter
+  const to = params.get('to') || '';      // HHmmss, daily filter
+
+  if (!symbol || (!start && !days)) {
+    return { error: 'Need symbol and either start (+ optional end) or days', status: 400 };
+  }
+  if (!classifySymbol(symbol)) {
+    return { error: INVALID_SYMBOL, status: 400 };
+  }
+  if (start && (!/^\d{8}$/.test(start) || !/^\d{8}$/.test(end))) {
+    return { error: 'Invalid date format — use YYYYMMDD', status: 400 };
+  }
+  if (start && start > end) {
+    return { error: 'start must not be after end', status: 400 };
+  }
+  if (days && !/^[1-9]\d{0,2}$/.test(days)) {
+    return { error: 'Invalid days — use a whole number of days from 1 to 999', status: 400 };
+  }
+  if ((from && !/^\d{6}$/.test(from)) || (to && !/^\d{6}$/.test(to))) {
+    return { error: 'Invalid from/to — use HHmmss', status: 400 };
+  }
+  const limitOpt = limitParam(params, DEFAULT_TICK_ROWS, MAX_TICK_ROWS);
+  if (limitOpt.error) return limitOpt;
+  const { limit } = limitOpt;
+  const timeOpts = timeOptions(params);
+  if (timeOpts.error) return timeOpts;
+
+  const reqId = `R${++requestCounter}`;
+  // HTT,symbol,begin,end,maxDatapoints,beginFilter,endFilter,direction,reqId
+  // HTD,symbol,days,maxDatapoints,beginFilter,endFilter,direction,reqId
+  const cmd = start
+    ? `HTT,${symbol},${start} 000000,${end} 235959,${limit},${from},${to},1,${reqId}`
+    : `HTD,${symbol},${days},${limit},${from},${to},1,${reqId}`;
+
+  writer.head = { symbol, tz: timeOpts.tz };
+  let count = 0;
+  let iqError = null;
+  const onLine = (line, sock) => {
+    if (writer.aborted) return false;
+    iqError = iqfeedErrorResult(line, reqId);
+    if (iqError) return false;
+    const parsed = parseTick(line, reqId);
+    if (!parsed) return;
+    const ok = writer.write(presentTimes([parsed], timeOpts));
+    count++;
+    if (count >= limit) return false;
+    if (!ok) {
+      sock.pause();
+      writer.onDrain(() => sock.resume());
+    }
+  };
+
+  let complete = false;
+  let error = null;
+  try {
+    ({ complete } = await iqfeedStreamWithRetry(cmd, onLine));
+  } catch (err) {
+    if (count === 0) return lookupError(err);
+    error = err.message;
+  }
+
+  metricInc('iqfeed_bridge_rows_returned_total', { route: '/ticks' }, count);
+  if (writer.aborted) return;
+  if (iqError && count === 0) return iqError;
+  const tail = { count, complete, truncated: count >= limit };
+  if (error || iqError) tail.error = error || iqError.error;
+  writer.end(tail);
+}
+
+// GET /news/headlines?symbols=AAPL,MSFT&limit=50 — optional &sources=DTN:CPR,
+// &date=YYYYMMDD or &start (+ optional &end). Rows: { time, local, id, source, symbols, headline }.
+async function handleNewsHeadlines(params, onRows) {
+  const split = v => (v || '').split(/[,:]/).map(s => s.trim()).filter(Boolean);
+  const symbols = split(params.get('symbols'));
+  const sources = split(params.get('sources'));
+  const start = params.get('start') || params.get('date') || '';
+  const end = params.get('end') || start;
+
+  if (symbols.length > MAX_NEWS_SYMBOLS) {
+    return { error: `Too many symbols — max ${MAX_NEWS_SYMBOLS}`, status: 400 };
+  }
+  const bad = symbols.find(s => !classifySymbol(s));
+  if (bad) return { error: `${INVALID_SYMBOL} (got ${bad})`, status: 400 };
+  if (!sources.every(s => /^[A-Z0-9_]{1,20}$/i.test(s))) {
+    return { error: 'Invalid sources — use IQFeed source codes, e.g. sources=DTN,CPR', status: 400 };
+  }
+  const limitOpt = limitParam(params, DEFAULT_HEADLINES, MAX_HEADLINES);
+  if (limitOpt.error) return limitOpt;
+  const { limit } = limitOpt;
+  if ((start && !/^\d{8}$/.test(start)) || (end && !/^\d{8}$/.test(end))) {
+    return { error: 'Invalid date format — use YYYYMMDD', status: 400 };
+  }
+  if (end && !start) {
+    return { error: 'end needs start (or use date=YYYYMMDD)', status: 400 };
+  }
+  if (start > end) {
+    return { error: 'start must not be after end', status: 400 };
+  }
+  const timeOpts = timeOptions(params);
+  if (timeOpts.error) return timeOpts;
+
+  const dateField = start ? (start === end ? start : `${start}-${end}`) : '';
+  const query = `${sources.join(':')},${symbols.join(':')},t,${limit},${dateField}`;
+  const cacheKey = crypto.createHash('sha1').update(query).digest('hex');
+  const final = end && end < etToday();
+
+  let rows = final ? readNewsCache('headlines', cacheKey) : null;
+  const cached = rows !== null;
+  if (!cached) {
+    const reqId = `R${++requestCounter}`;
+    // NHL,sources,symbols,format(t = text),limit,date,reqId
+    try {
+      const raw = await iqfeedQueryWithRetry(`NHL,${query},${reqId}`);
+      const iqError = iqfeedErrorResult(raw, reqId);
+      if (iqError) return iqError;
+      rows = parseHeadlines(raw, reqId);
+      if (final && isCompleteResponse(raw, reqId)) writeNewsCache('headlines', cacheKey, rows);
+    } catch (err) {
+      return lookupError(err);
+    }
+  }
+
+  const data = presentTimes(rows, timeOpts);
+  if (onRows && data.length) onRows(data);
+  return { data, count: data.length, symbols, sources, start: start || null, end: end || null, tz: timeOpts.tz, cached };
+}
+
+// GET /news/story?id=22581852 → { id, symbols, text }
+async function handleNewsStory(params) {
+  const id = params.get('id');
+  if (!id || !/^\d{1,20}$/.test(id)) {
+    return { error: 'Need a numeric story id, from /news/headlines', status: 400 };
+  }
+
+  const cachedStory = readNewsCache('stories', id);
+  if (cachedStory) return { id, ...cachedStory, cached: true };
+
+  const reqId = `R${++requestCounter}`;
+  // NSY,storyId,format(t = text),deliverTo,reqId
+  try {
+    const raw = await iqfeedQueryWithRetry(`NSY,${id},t,,${reqId}`);
+    const iqError = iqfeedErrorResult(raw, reqId);
+    if (iqError) return iqError;
+    if (raw.includes('NO_DATA')) return { error: `Story ${id} not found`, status: 404 };
+    const story = parseStory(raw, reqId);
+    if (isCompleteResponse(raw, reqId)) writeNewsCache('stories', id, story);
+    return { id, ...story, cached: false };
+  } catch (err) {
+    return lookupError(err);
+  }
+}
+
+// GET /options/chain?symbol=AAPL&expiry=20260220 — contracts from CEO, with
+// optional &type=call|put and &snapshot=1 (bid/ask/last per contract from
+// Level 1; needs expiry or type to stay under MAX_SNAPSHOT_CONTRACTS).
+async function handleOptionsChain(params) {
+  const symbol = params.get('symbol');
+  const expiry = params.get('expiry');
+  const type = params.get('type') || 'both';
+  const withSnapshot = params.get('snapshot') === '1';
+
+  if (!symbol) {
+    return { error: 'Need symbol param, e.g. symbol=AAPL&expiry=20260220', status: 400 };
+  }
+  const assetClass = classifySymbol(symbol);
+  if (assetClass !== 'equity' && assetClass !== 'index') {
+    return { error: assetClass ? 'Option chains are only available for equity and index underlyings' : INVALID_SYMBOL, status: 400 };
+  }
+  if (expiry && !/^\d{8}$/.test(expiry)) {
+    return { error: 'Invalid expiry — use YYYYMMDD', status: 400 };
+  }
+  if (!['call', 'put', 'both'].includes(type)) {
+    return { error: 'Invalid type — use call, put or both', status: 400 };
+  }
+
+  // Month letters narrow the reply to the expiry's month (every year) — the exact date is filtered below
+  let monthCodes = '';
+  if (expiry) {
+    const m = +expiry.slice(4, 6) - 1;
+    monthCodes = (type !== 'put' ? String.fromCharCode(65 + m) : '') + (type !== 'call' ? String.fromCharCode(77 + m) : '');
+  }
+  const sides = { call: 'c', put: 'p', both: 'pc' }[type];
+
+  const reqId = `R${++requestCounter}`;
+  // CEO,symbol,puts/calls,monthCodes,nearMonths,binaryFilter,filterType,filterValue1,filterValue2,nonStandard,reqId
+  const cmd = `CEO,${symbol},${sides},${monthCodes},,0,0,,,0,${reqId}`;
+
+  let contracts;
+  try {
+    const raw = await iqfeedQueryWithRetry(cmd);
+    const iqError = iqfeedErrorResult(raw, reqId);
+    if (iqError) return iqError;
+    contracts = parseChain(raw, reqId)
+      .filter(c => (!expiry || c.expiry === expiry) && (type === 'both' || c.type === type))
+      .sort((a, b) => a.expiry.localeCompare(b.expiry) || a.strike - b.strike || a.type.localeCompare(b.type));
+  } catch (err) {
+    return lookupError(err);
+  }
+
+  const result = {
+    symbol, expiry: expiry || null, type,
+    expirations: [...new Set(contracts.map(c => c.expiry))],
+    strikes: [...new Set(contracts.map(c => c.strike))].sort((a, b) => a - b),
+    count: contracts.length,
+    contracts
+  };
+
+  if (withSnapshot && contracts.length > 0) {
+    if (contracts.length > MAX_SNAPSHOT_CONTRACTS) {
+      return { error: `Snapshot is limited to ${MAX_SNAPSHOT_CONTRACTS} contracts (chain has ${contracts.length}) — add expiry or type`, status: 400 };
+    }
+    const snap = await level1Snapshot(contracts.map(c => c.symbol));
+    for (const c of contracts) {
+      const q = snap.quotes.get(c.symbol);
+      c.quote = q ? { bid: q.bid, bidSize: q.bidSize, ask: q.ask, askSize: q.askSize, last: q.last, volume: q.volume } : null;
+    }
+    result.snapshot = { time: new Date().toISOString(), complete: snap.complete, error: snap.error };
+  }
+  return result;
+}
+
+// Opens a Server-Sent Events stream. The first event (`ready`) carries the
+// clientId that /stream/watch uses to change this connection's symbols.
+function handleStream(params, req, res, keyId) {
+  const clientId = `C${++streamClientCounter}`;
+  streamClients.set(clientId, { res, keyId, symbols: new Set() });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const changes = applyWatchChanges(clientId, params);
+  sseSend(res, 'ready', { clientId, symbols: [...streamClients.get(clientId).symbols], rejected: changes.rejected, level1: level1Connected });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const client = streamClients.get(clientId);
+    streamClients.delete(clientId);
+    for (const symbol of client.symbols) unwatchSymbol(clientId, symbol);
+  });
+}
+
+async function handleStreamWatch(params, keyId) {
+  const clientId = params.get('client');
+  if (!clientId) {
+    return { error: 'Need client param (from the stream\'s ready event)', status: 400 };
+  }
+  if (!streamClients.has(clientId)) {
+    return { error: `Unknown stream client ${clientId}`, status: 404 };
+  }
+  if (streamClients.get(clientId).keyId !== keyId) {
+    return { error: `Stream client ${clientId} belongs to another key`, status: 403 };
+  }
+  const changes = applyWatchChanges(clientId, params);
+  return { clientId, ...changes, symbols: [...streamClients.get(clientId).symbols] };
+}
+
+const CALENDAR_CLASSES = { NYSE: 'equity', CME: 'future', FX: 'forex' };
+const MAX_CALENDAR_DAYS = 500;
+
+function minuteClock(minute) {
+  const m = ((minute % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// GET /calendar — is the market open now (or at ?at=), and with ?days=N the
+// last N trading days up to ?end= (default today). ?exchange=NYSE|CME|FX, or
+// ?symbol= to use that symbol's exchange and session windows.
+async function handleCalendar(params) {
+  let assetClass = CALENDAR_CLASSES[(params.get('exchange') || 'NYSE').toUpperCase()];
+  if (!assetClass) {
+    return { error: `Invalid exchange — use one of: ${Object.keys(CALENDAR_CLASSES).join(', ')}`, status: 400 };
+  }
+  if (params.get('symbol')) {
+    assetClass = classifySymbol(params.get('symbol'));
+    if (!assetClass) return { error: INVALID_SYMBOL, status: 400 };
+  }
+  const exchange = ASSET_CLASSES[assetClass].calendar;
+
+  const ms = params.get('at') ? Date.parse(params.get('at')) : Date.now();
+  if (isNaN(ms)) {
+    return { error: 'Invalid at — use an ISO-8601 instant, e.g. 2026-02-09T15:00:00Z', status: 400 };
+  }
+
+  // Futures/forex evenings already belong to the next trading day
+  const wall = formatInZone(ms, EXCHANGE_TZ).slice(0, 19) + 'Z';
+  const { day, minute } = barPosition({ time: wall }, 0, ASSET_CLASSES[assetClass].sessions);
+  const info = calendarDay(exchange, day);
+  const sessions = sessionsOn(assetClass, day);
+  const session = info.tradingDay
+    ? ['premarket', 'rth', 'afterhours'].find(name => minute >= sessions[name][0] && minute < sessions[name][1]) || null
+    : null;
+
+  const result = {
+    exchange,
+    time: new Date(ms).toISOString().slice(0, 19) + 'Z',
+    local: formatInZone(ms, EXCHANGE_TZ),
+    tradingDay: day,
+    isTradingDay: info.tradingDay,
+    holiday: info.holiday,
+    earlyClose: info.earlyClose,
+    open: session === 'rth',
+    session,
+    previousTradingDay: shiftTradingDay(exchange, day, -1),
+    nextTradingDay: shiftTradingDay(exchange, day, 1),
+    coverage: CALENDAR.coverage
+  };
+
+  if (params.has('days')) {
+    const raw = params.get('days');
+    const n = /^\d+$/.test(raw) ? Number(raw) : 0;
+    const end = params.get('end') || etToday();
+    if (!(n >= 1 && n <= MAX_CALENDAR_DAYS)) {
+      return { error: `Invalid days — use 1 to ${MAX_CALENDAR_DAYS}`, status: 400 };
+    }
+    const dateError = dateParamError('end', end);
+    if (dateError) return dateError;
+    const days = [];
+    let d = calendarDay(exchange, end).tradingDay ? end : shiftTradingDay(exchange, end, -1);
+    while (days.length < n) {
+      const rth = sessionsOn(assetClass, d).rth;
+      const early = calendarDay(exchange, d).earlyClose;
+      days.unshift({ date: d, open: minuteClock(rth[0]), close: minuteClock(rth[1]), earlyClose: early ? early.name : null });
+      d = shiftTradingDay(exchange, d, -1);
+    }
+    result.days = days;
+  }
+  return result;
+}
+
+async function handleHealth() {
+  const health = (await probeIqfeed())
+    ? { ok: true, iqfeed: true }
+    : { ok: true, iqfeed: false, message: `IQConnect not reachable on port ${IQFEED_PORT}` };
+  if (PROVIDER_ORDER.length > 1 || PROVIDER_ORDER[0] !== 'iqfeed') {
+    health.providers = {};
+    for (const name of PROVIDER_ORDER) health.providers[name] = name === 'iqfeed' ? health.iqfeed : await PROVIDERS[name].available();
+    health.provider = PROVIDER_ORDER.find(name => health.providers[name]) || null;
+  }
+  return health;
+}
+
+async function handleStatus() {
+  const health = await handleHealth();
+  return {
+    uptime: Math.floor((Date.now() - startTime) / 1000),
+    requests: requestCounter,
+    errors: errorCount,
+    lastError,
+    iqfeed: health.iqfeed,
+    stream: { clients: streamClients.size, symbols: watchedSymbols.size, level1: level1Connected },
+    auth: { keys: loadAuthKeys().filter(keyIsActive).length, ...authStats },
+    limits: {
+      activeLookups,
+      queued: lookupQueue.length,
+      maxConcurrent: MAX_CONCURRENT_LOOKUPS,
+      ...limitStats
+    }
+  };
+}
+
+// ── Replay ─────────────────────────────────────────────────────
+// GET /replay plays one past session back over SSE the way /stream delivers
+// a live one, so Edge can rehearse its intraday loop on a weekend. All data
+// is loaded up front and merged into one timeline ordered by (time, position
+// in ?symbols=, IQFeed order), so every run emits the same events in the
+// same order; only the pacing depends on ?speed=.
+
+// HTT tick (internal form) → the shape /stream sends for a Level 1 trade
+function tickAsTrade(symbol, tick) {
+  return {
+    symbol, type: 'trade', summary: false,
+    last: tick.price, lastSize: tick.size, lastTime: tick.time.slice(11, -1),
+    exchange: tick.exchange, volume: tick.totalVolume,
+    bid: tick.bid, bidSize: null, ask: tick.ask, askSize: null,
+    open: null, high: null, low: null, close: null,
+    contents: 'C', conditions: tick.conditions
+  };
+}
+
+// A session IQFeed only partly delivered would replay as if it were the whole day
+const REPLAY_CUT_SHORT = { error: 'IQFeed reply cut short — the session would replay incomplete', status: 504 };
+
+// One symbol's replay events: { time (internal), event, data }
+async function loadReplayEvents(symbol, date, mode, limit, params) {
+  const assetClass = classifySymbol(symbol);
+  if (!assetClass) return { error: INVALID_SYMBOL, status: 400 };
+  const session = params.get('session') || 'all';
+
+  if (mode === 'bars') {
+    const result = await handleBars(new URLSearchParams({
+      symbol, start: date, end: date, session, interval: params.get('interval') || '60', legacyTime: '1'
+    }));
+    if (result.error) return result;
+    if (result.quality.truncated) return REPLAY_CUT_SHORT;
+    return { events: result.data.map(bar => ({ time: bar.time, event: 'bar', data: { symbol, ...bar } })) };
+  }
+
+  const { calendar } = ASSET_CLASSES[assetClass];
+  const info = calendarDay(calendar, date);
+  if (!info.tradingDay) {
+    return { error: `${date} is not a ${calendar} trading day${info.holiday ? ` (${info.holiday})` : ''}`, status: 400 };
+  }
+  const window = sessionsOn(assetClass, date)[session];
+  if (!window) {
+    return { error: `Invalid session — use one of: ${Object.keys(ASSET_CLASSES[assetClass].sessions).join(', ')}`, status: 400 };
+  }
+  const reqId = `R${++requestCounter}`;
+  const cmd = `HTT,${symbol},${iqfeedTime(date, window[0])},${iqfeedTime(date, window[1])},${limit},,,1,${reqId}`;
+
+  const events = [];
+  let iqError = null;
+  let complete;
+  try {
+    ({ complete } = await iqfeedStreamWithRetry(cmd, line => {
+      iqError = iqfeedErrorResult(line, reqId);
+      if (iqError) return false;
+      const tick = parseTick(line, reqId);
+      if (tick) events.push({ time: tick.time, event: 'trade', data: tickAsTrade(symbol, tick) });
+    }));
+  } catch (err) {
+    return lookupError(err);
+  }
+  if (iqError) return iqError;
+  return complete ? { events } : REPLAY_CUT_SHORT;
+}
+
+// Streams the merged timeline. Returns a result object for errors found
+// before the stream starts, nothing once SSE has begun.
+async function handleReplay(params, req, res) {
+  const symbols = [...new Set((params.get('symbols') || '').split(',').map(s => s.trim()).filter(Boolean))];
+  const date = params.get('date');
+  const mode = params.get('mode') || 'bars';
+  const speedParam = params.get('speed') || '1';
+  const speed = speedParam === 'max' ? Infinity : parseFloat(speedParam);
+
+  if (symbols.length === 0 || !date) {
+    return { error: 'Need symbols and date params, e.g. symbols=AAPL,MSFT&date=20260209', status: 400 };
+  }
+  if (symbols.length > MAX_STREAM_SYMBOLS_PER_CLIENT) {
+    return { error: `Too many symbols — max ${MAX_STREAM_SYMBOLS_PER_CLIENT} per replay`, status: 400 };
+  }
+  if (!/^\d{8}$/.test(date)) {
+    return { error: 'Invalid date format — use YYYYMMDD', status: 400 };
+  }
+  if (mode !== 'bars' && mode !== 'ticks') {
+    return { error: 'Invalid mode — use bars or ticks', status: 400 };
+  }
+  if (!(speed > 0 && (speed === Infinity || speed <= MAX_REPLAY_SPEED))) {
+    return { error: `Invalid speed — use a multiplier up to ${MAX_REPLAY_SPEED} (1, 10, 0.5) or max`, status: 400 };
+  }
+  const limitOpt = limitParam(params, DEFAULT_TICK_ROWS, MAX_TICK_ROWS);
+  if (limitOpt.error) return limitOpt;
+  const { limit } = limitOpt;
+  const timeOpts = timeOptions(params);
+  if (timeOpts.error) return timeOpts;
+
+  const timeline = [];
+  const rejected = [];
+  const loaded = await mapConcurrently(symbols, symbol => loadReplayEvents(symbol, date, mode, limit, params));
+  loaded.forEach((result, rank) => {
+    if (result.error) return rejected.push({ symbol: symbols[rank], status: result.status || 500, error: result.error });
+    result.events.forEach((e, seq) => timeline.push({ ...e, ms: wallClockToEpoch(e.time.slice(0, -1)), rank, seq }));
+  });
+  if (rejected.length === symbols.length) {
+    const { status, error } = rejected[0];
+    return { error: symbols.length === 1 ? error : `No symbol could be loaded — ${symbols[0]}: ${error}`, status, rejected };
+  }
+  timeline.sort((a, b) => a.ms - b.ms || a.rank - b.rank || a.seq - b.seq);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const tz = timeOpts.legacy ? EXCHANGE_TZ : timeOpts.tz;
+  sseSend(res, 'ready', {
+    symbols: symbols.filter(s => !rejected.some(r => r.symbol === s)),
+    rejected, date, mode, speed: speedParam, events: timeline.length,
+    from: timeline.length ? formatInZone(timeline[0].ms, tz) : null,
+    to: timeline.length ? formatInZone(timeline[timeline.length - 1].ms, tz) : null
+  });
+
+  let closed = false;
+  let pending = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (pending) pending();
+  });
+  const wait = ms => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    pending = () => { clearTimeout(timer); resolve(); };
+  });
+
+  // Pace against the session clock from the first event, so timer drift never accumulates
+  const startedAt = Date.now();
+  for (const item of timeline) {
+    if (closed) break;
+    if (speed !== Infinity) {
+      const due = startedAt + (item.ms - timeline[0].ms) / speed;
+      if (due > Date.now()) await wait(due - Date.now());
+      if (closed) break;
+    }
+    const data = item.event === 'bar' ? presentTimes([item.data], timeOpts)[0] : item.data;
+    if (!res.write(`event: ${item.event}\ndata: ${JSON.stringify(data)}\n\n`)) {
+      await new Promise(resolve => {
+        pending = resolve;
+        res.once('drain', resolve);
+      });
+    }
+  }
+
+  clearInterval(heartbeat);
+  if (closed) return;
+  sseSend(res, 'done', { events: timeline.length, elapsedMs: Date.now() - startedAt });
+  res.end();
+}
+
+// ── Backfill ───────────────────────────────────────────────────
+// `node iqfeed-bridge.js backfill --watchlist file` fills the bar cache for
+// every symbol before the open. It goes through handleBars, so the lookup
+// queue paces IQFeed and only complete past days are written. The cache is
+// also the resume point: re-running after a crash skips every cached day.
+
+// One symbol per line (or comma-separated); # starts a comment
+function parseWatchlist(text) {
+  const symbols = text.split('\n')
+    .map(line => line.replace(/#.*/, ''))
+    .flatMap(line => line.split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+  return [...new Set(symbols)];
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function backfillSymbol(symbol, interval, range) {
+  const result = { symbol, interval, days: 0, cachedBefore: 0, fetchedDays: 0, gaps: [], emptyDays: [], errors: [] };
+  const assetClass = classifySymbol(symbol);
+  if (!assetClass) {
+    result.errors.push(INVALID_SYMBOL);
+    return result;
+  }
+  const { calendar, sessions } = ASSET_CLASSES[assetClass];
+  const target = parseInterval(interval);
+  const base = target && baseIntervalFor(target, sessions.all[0]);
+  if (!base) {
+    result.errors.push(`Invalid interval ${interval}`);
+    return result;
+  }
+  result.interval = target;
+
+  // Default range: the last N completed sessions
+  const end = range.end || shiftTradingDay(calendar, etToday(), -1);
+  const start = range.start || shiftTradingDay(calendar, shiftDay(end, 1), -range.days);
+  const days = tradingDays(calendar, start, end);
+  const isCached = day => readCachedDay(symbol, base, day) !== null;
+  const todo = days.filter(day => !isCached(day));
+  result.days = days.length;
+  result.cachedBefore = days.length - todo.length;
+
+  for (let i = 0; i < todo.length; i += BACKFILL_CHUNK_DAYS) {
+    const chunk = todo.slice(i, i + BACKFILL_CHUNK_DAYS);
+    const first = chunk[0];
+    const last = chunk[chunk.length - 1];
+    // The cache only holds IQFeed bars, so never fall back to another provider here
+    const bars = await handleBars(new URLSearchParams({ symbol, start: first, end: last, interval: String(target), legacyTime: '1', provider: 'iqfeed' }));
+    if (bars.error) {
+      result.errors.push(`${first}-${last}: ${bars.error}`);
+    } else {
+      result.fetchedDays += bars.cache.fetchedDays;
+      result.emptyDays.push(...bars.quality.emptyDays);
+    }
+    await sleep(BACKFILL_PAUSE_MS);
+  }
+
+  result.gaps = days.filter(day => !isCached(day));
+  console.log(`[backfill] ${symbol} ${target}s: ${result.cachedBefore} cached, ${result.fetchedDays} fetched, ` +
+    `${result.gaps.length} gaps, ${result.errors.length} errors`);
+  return result;
+}
+
+// Returns the process exit code: 0 when every symbol is complete
+async function runBackfill(argv) {
+  const arg = name => argv.find((a, i) => argv[i - 1] === name);
+  const watchlistFile = arg('--watchlist');
+  if (!watchlistFile) {
+    console.error('Usage: node iqfeed-bridge.js backfill --watchlist <file> [--days N | --start YYYYMMDD --end YYYYMMDD]');
+    console.error('                                     [--interval 300,60] [--summary <file>]');
+    return 2;
+  }
+
+  let symbols;
+  try {
+    symbols = parseWatchlist(fs.readFileSync(watchlistFile, 'utf8'));
+  } catch (err) {
+    console.error(`[backfill] Can't read watchlist: ${err.message}`);
+    return 2;
+  }
+  const range = { start: arg('--start'), end: arg('--end'), days: parseInt(arg('--days')) || BACKFILL_DEFAULT_DAYS };
+  if ([range.start, range.end].some(d => d && !/^\d{8}$/.test(d))) {
+    console.error('[backfill] --start/--end must be YYYYMMDD');
+    return 2;
+  }
+  const intervals = (arg('--interval') || '300').split(',');
+  const summaryFile = path.resolve(arg('--summary') || BACKFILL_SUMMARY_FILE);
+
+  const startedAt = new Date().toISOString();
+  console.log(`[backfill] ${symbols.length} symbols × ${intervals.join('/')} from ${watchlistFile}`);
+  const jobs = symbols.flatMap(symbol => intervals.map(interval => ({ symbol, interval })));
+  const results = await mapConcurrently(jobs, job => backfillSymbol(job.symbol, job.interval, range));
+
+  const incomplete = results.filter(r => r.errors.length || r.gaps.length);
+  const summary = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    watchlist: path.resolve(watchlistFile),
+    symbols: symbols.length,
+    filled: results.length - incomplete.length,
+    incomplete: incomplete.length,
+    fetchedDays: results.reduce((a, r) => a + r.fetchedDays, 0),
+    results
+  };
+  fs.mkdirSync(path.dirname(summaryFile), { recursive: true });
+  fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2), 'utf8');
+
+  console.log(`[backfill] Done: ${summary.filled}/${results.length} complete, ${summary.fetchedDays} days fetched`);
+  for (const r of incomplete) {
+    console.log(`[backfill]   ${r.symbol} ${r.interval}s: ${r.gaps.length} gaps${r.errors.length ? ` — ${r.errors[0]}` : ''}`);
+  }
+  console.log(`[backfill] Summary written to ${summaryFile}`);
+  return incomplete.length ? 1 : 0;
+}
+
+// Routes that return rows and so honour ?format= / Accept and stream NDJSON/CSV
+const ROW_ROUTES = {
+  '/bars': handleBars,
+  '/daily': handleDaily,
+  '/weekly': handleWeekly,
+  '/ticks': handleTicks,
+  '/indicators': handleIndicators,
+  '/news/headlines': handleNewsHeadlines
+};
+
+function countRows(route, result) {
+  const rows = Array.isArray(result.results)
+    ? result.results.reduce((a, r) => a + (r.count || 0), 0)
+    : result.count;
+  if (typeof rows === 'number') metricInc('iqfeed_bridge_rows_returned_total', { route }, rows);
+}
+
+// Closes a streamed row response; a failure after the first row still counts as an error
+function finishRows(res, route, writer, result) {
+  if (result.error) recordError(res, result.status || 500, result.error);
+  else countRows(route, result);
+  writer.end(result);
+}
+
+// Route label for metrics — anything else is "other" to keep label cardinality bounded
+const METRIC_ROUTES = new Set([
+  '/health', '/status', '/metrics', ...Object.keys(ROW_ROUTES), '/bars/batch', '/options/chain',
+  '/news/story', '/calendar', '/scan', '/stream', '/stream/watch', '/replay'
+]);
+const LONG_LIVED_ROUTES = ['/stream', '/replay'];
+
+async function routeRequest(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const route = METRIC_ROUTES.has(url.pathname) ? url.pathname : 'other';
+  const requestId = crypto.randomBytes(6).toString('hex');
+  const started = Date.now();
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('X-Request-Id', requestId);
+
+  let auth = null;
+  const longLived = LONG_LIVED_ROUTES.includes(route);
+  if (longLived) openStreams.add(res);
+  else openRequests++;
+  res.on('close', () => {
+    if (longLived) openStreams.delete(res);
+    else openRequests--;
+    const ms = Date.now() - started;
+    // A client that hung up before the response finished gets nginx's 499 and
+    // stays out of the latency histogram; streams always end that way
+    const aborted = !res.writableFinished;
+    const status = aborted && !longLived ? 499 : res.statusCode;
+    metricInc('iqfeed_bridge_http_requests_total', { route, status });
+    if (!longLived && !aborted) metricObserve('iqfeed_bridge_http_request_duration_seconds', { route }, ms / 1000);
+    writeAccessLog({
+      time: new Date(started).toISOString(),
+      id: requestId,
+      method: req.method,
+      path: redactedPath(url),
+      status,
+      ms,
+      key: auth && auth.key ? auth.key.id : null,
+      ip: req.headers['cf-connecting-ip'] || req.socket.remoteAddress,
+      aborted: aborted || undefined,
+      error: res.bridgeError
+    });
+  });
+
+  if (shuttingDown) {
+    recordError(res, 503, 'Bridge is shutting down', 'shutting_down');
+    res.writeHead(503, { 'Retry-After': '10', 'Connection': 'close' });
+    return res.end(JSON.stringify({ error: 'Bridge is shutting down' }));
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Authorization, X-API-Key, X-Key-Id, X-Timestamp, X-Signature'
+    });
+    return res.end();
+  }
+
+  if (!PUBLIC_ROUTES.includes(url.pathname)) {
+    auth = await authenticate(req, url);
+    if (auth.error) {
+      recordAuthFailure(req, url, auth);
+      recordError(res, auth.status, auth.error);
+      res.writeHead(auth.status);
+      return res.end(JSON.stringify({ error: auth.error }));
+    }
+
+    const wait = takeToken(auth.key);
+    if (wait > 0) {
+      const error = `Rate limit exceeded for key ${auth.key.id} — retry in ${wait}s`;
+      recordError(res, 429, error, 'rate_limited');
+      res.writeHead(429, { 'Retry-After': String(wait) });
+      return res.end(JSON.stringify({ error }));
+    }
+  }
+
+  try {
+    let result;
+    const rowHandler = ROW_ROUTES[url.pathname];
+    if (url.pathname === '/health') {
+      result = await handleHealth();
+    } else if (rowHandler) {
+      // The format can come from Accept, so caches must key on it too
+      res.setHeader('Vary', 'Accept, Accept-Encoding');
+      const { format, error } = negotiateFormat(req, url.searchParams);
+      if (error) {
+        result = { error, status: 400 };
+      } else if (url.pathname === '/ticks') {
+        result = await handleTicks(url.searchParams, createRowWriter(req, res, format));
+        if (!result) return; // streamed
+      } else if (format !== 'json') {
+        const writer = createRowWriter(req, res, format);
+        result = await rowHandler(url.searchParams, rows => writer.write(rows));
+        if (writer.started || !result.error) return finishRows(res, route, writer, result);
+      } else {
+        result = await rowHandler(url.searchParams);
+      }
+    } else if (url.pathname === '/bars/batch') {
+      res.setHeader('Vary', 'Accept, Accept-Encoding');
+      const { format, error } = negotiateFormat(req, url.searchParams);
+      if (error || format === 'csv') {
+        result = { error: error || 'Batch supports json or ndjson', status: 400 };
+      } else if (format === 'ndjson') {
+        const writer = createRowWriter(req, res, 'ndjson');
+        result = await handleBarsBatch(req, auth.key, r => writer.write([r]));
+        if (writer.started || !result.error) return finishRows(res, route, writer, result);
+      } else {
+        result = await handleBarsBatch(req, auth.key);
+      }
+    } else if (url.pathname === '/options/chain') {
+      result = await handleOptionsChain(url.searchParams);
+    } else if (url.pathname === '/news/story') {
+      result = await handleNewsStory(url.searchParams);
+    } else if (url.pathname === '/calendar') {
+      result = await handleCalendar(url.searchParams);
+    } else if (url.pathname === '/scan') {
+      result = await handleScan(url.searchParams);
+    } else if (url.pathname === '/stream') {
+      return handleStream(url.searchParams, req, res, auth.key.id);
+    } else if (url.pathname === '/replay') {
+      result = await handleReplay(url.searchParams, req, res);
+      if (!result) return; // streamed
+    } else if (url.pathname === '/stream/watch') {
+      result = await handleStreamWatch(url.searchParams, auth.key.id);
+    } else if (url.pathname === '/status') {
+      result = await handleStatus();
+    } else if (url.pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      return res.end(renderMetrics());
+    } else {
+      result = { error: 'Not found. Use /health, /bars, /daily, /weekly, /ticks, /news/headlines, /news/story, /options/chain, /scan, /calendar, /stream, /replay, /status or /metrics', status: 404 };
+    }
+
+    const status = result.status || 200;
+    if (result.error) recordError(res, status, result.error);
+    else countRows(route, result);
+    if (result.retryAfter) res.setHeader('Retry-After', String(result.retryAfter));
+    delete result.status;
+    delete result.retryAfter;
+    sendJson(req, res, status, result, status === 200 && req.method === 'GET' ? cachePolicy(route, result) : null);
+  } catch (err) {
+    recordError(res, 500, err.message, 'exception');
+    if (res.headersSent) return res.end();
+    res.writeHead(500);
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
+
+// The request's signal aborts if the client hangs up before the response is finished
+const server = http.createServer((req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+  requestScope.run({ signal: controller.signal, res }, () => routeRequest(req, res));
+});
+
+// ── Shutdown ───────────────────────────────────────────────────
+// SIGINT/SIGTERM: stop accepting connections (new requests on kept-alive ones
+// get 503), end SSE streams with a status event, and let in-flight requests
+// finish their IQFeed lookups before exiting. A second signal, or
+// shutdownTimeoutMs running out, exits straight away.
+
+let shuttingDown = false;
+let openRequests = 0;            // in flight, SSE streams excluded
+const openStreams = new Set();   // /stream and /replay responses
+
+function shutdown(signal) {
+  if (shuttingDown) {
+    console.warn(`[shutdown] ${signal} again — exiting with ${openRequests} request(s) still open`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`\n[shutdown] ${signal} — draining ${openRequests} request(s), ${activeLookups} IQFeed lookup(s) in flight`);
+  server.close();
+  server.closeIdleConnections();
+  for (const res of openStreams) {
+    if (!res.headersSent) {   // a replay still loading: hang up, which aborts its lookups
+      res.destroy();
+      continue;
+    }
+    sseSend(res, 'status', { shutdown: true });
+    res.end(() => res.destroy());
+  }
+
+  const deadline = Date.now() + CONFIG.shutdownTimeoutMs;
+  const check = () => {
+    if (openRequests === 0 && activeLookups === 0) {
+      console.log('[shutdown] Drained — exiting');
+      process.exit(0);
+    }
+    if (Date.now() >= deadline) {
+      console.warn(`[shutdown] Gave up after ${CONFIG.shutdownTimeoutMs}ms with ${openRequests} request(s) open`);
+      process.exit(1);
+    }
+    setTimeout(check, 100);
+  };
+  check();
+}
+
+if (process.argv[2] === 'backfill') {
+  runBackfill(process.argv.slice(3)).then(code => process.exit(code));
+} else {
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  server.listen(PORT, () => {
+    console.log(`\n🔌 IQFeed Bridge running on http://localhost:${PORT}`);
+    console.log(`   IQFeed ${IQFEED_HOST}:${IQFEED_PORT} (Level 1 :${LEVEL1_PORT}), timeout ${IQFEED_TIMEOUT_MS}ms, ${LOOKUP_RETRIES} retries, ` +
+      `${MAX_CONCURRENT_LOOKUPS} lookups + ${MAX_QUEUED_LOOKUPS} queued${loadedConfig.file ? ` — config ${loadedConfig.file}` : ''}`);
+    if (loadAuthKeys().filter(keyIsActive).length === 0) {
+      console.warn(`\n⚠️  No active API keys in ${AUTH_FILE} — every route except /health will return 401`);
+    }
+    console.log(`\nEndpoints:`);
+    console.log(`  GET /health`);
+    console.log(`  GET /status   GET /metrics (Prometheus)`);
+    console.log(`  GET /bars?symbol=AAPL&start=20260209&end=20260210`);
+    console.log(`  GET /indicators?symbol=AAPL&start=20260209&end=20260210&study=ema:9,vwap,atr:14`);
+    console.log(`  POST /bars/batch  {"symbols":["AAPL","MSFT"],"start":"20260209","end":"20260210"}`);
+    console.log(`  GET /daily?symbol=AAPL&start=20230101&end=20260210`);
+    console.log(`  GET /weekly?symbol=AAPL&start=20230101&end=20260210`);
+    console.log(`  GET /ticks?symbol=AAPL&start=20260209&from=093000&to=094500`);
+    console.log(`  GET /news/headlines?symbols=AAPL,MSFT&limit=50   then /news/story?id=<id>`);
+    console.log(`  GET /options/chain?symbol=AAPL&expiry=20260220&snapshot=1`);
+    console.log(`  GET /calendar?days=5   (last 5 trading days + is the market open now)`);
+    console.log(`  GET /scan?symbols=AAPL,MSFT,TSLA&orb=1,5,15,30&sort=gap`);
+    console.log(`  GET /stream?symbols=AAPL,MSFT   (SSE, then /stream/watch?client=C1&add=TSLA)`);
+    console.log(`  GET /replay?symbols=AAPL,MSFT&date=20260209&speed=10   (SSE replay of a past session)`);
+    console.log(`\nNext step: open another terminal and run:`);
+    console.log(`  npx localtunnel --port ${PORT}`);
+    console.log(`\nThen send the public URL to Edge.\n`);
+  });
+}
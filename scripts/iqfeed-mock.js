@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * IQFeed Mock Server
+ *
+ * Stand-in for IQConnect's lookup port (9100) so the bridge can be exercised
+ * on Linux without the Windows PC. Speaks just enough of the protocol for
+ * iqfeed-bridge.js: the S,SET PROTOCOL handshake, request IDs echoed on every
+ * line, !ENDMSG!, E,!NO_DATA! and E,<message> error lines.
+ *
+ * Responses are driven by fixture files (*.json) in a directory. The first
+ * fixture whose `match` regex matches the command line wins:
+ *   {
+ *     "match": "^HIT,AAPL,",
+ *     "lines": ["{id},LH,2026-02-09 09:35:00,101.5,100.2,100.5,101.0,5000,1200,30,"],
+ *     "noData": false,       // answer E,!NO_DATA! instead of lines
+ *     "error": null,         // answer E,<error> instead of lines
+ *     "noEnd": false,        // never send !ENDMSG! (client times out)
+ *     "delayMs": 0,          // wait before the first byte
+ *     "chunkSize": 0,        // split the reply into N-byte chunks …
+ *     "chunkDelayMs": 0,     // … sent this far apart
+ *     "dropAfterBytes": null, // hang up after N bytes (0 = before anything)
+ *     "times": null          // only use this fixture for the first N matches
+ *   }
+ * `{id}` is replaced with the request ID (the command's last field). The
+ * end marker is appended automatically. Unmatched commands get
+ * E,!SYNTAX_ERROR!.
+ *
+ * Usage:
+ *   node scripts/iqfeed-mock.js [--port 9100] [--fixtures scripts/test/fixtures/iqfeed]
+ *   Then: IQFEED_PORT=9100 PORT=8766 node scripts/iqfeed-bridge.js
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.resolve(__dirname, 'test', 'fixtures', 'iqfeed');
+
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+      return { ...fixture, name: f, pattern: new RegExp(fixture.match), hits: 0 };
+    });
+}
+
+function renderReply(fixture, reqId) {
+  const lines = fixture.noData
+    ? ['{id},E,!NO_DATA!,']
+    : fixture.error
+      ? [`{id},E,${fixture.error},`]
+      : [...(fixture.lines || [])];
+  if (!fixture.noEnd) lines.push('{id},!ENDMSG!,');
+  return lines.map(l => l.split('{id}').join(reqId) + '\r\n').join('');
+}
+
+function sendReply(sock, fixture, reply) {
+  let payload = Buffer.from(reply, 'latin1');
+  const drop = fixture.dropAfterBytes;
+  if (drop !== undefined && drop !== null) payload = payload.subarray(0, drop);
+
+  const size = fixture.chunkSize || payload.length || 1;
+  const chunks = [];
+  for (let i = 0; i < payload.length; i += size) chunks.push(payload.subarray(i, i + size));
+
+  let i = 0;
+  const next = () => {
+    if (sock.destroyed) return;
+    if (i >= chunks.length) {
+      if (drop !== undefined && drop !== null) sock.destroy();
+      return;
+    }
+    sock.write(chunks[i++]);
+    setTimeout(next, fixture.chunkDelayMs || 0);
+  };
+  setTimeout(next, fixture.delayMs || 0);
+}
+
+// Returns a net.Server; `server.requests` records every command received
+function createMockServer(options = {}) {
+  const fixtures = options.fixtures || loadFixtures(options.fixturesDir || DEFAULT_FIXTURES);
+  const requests = [];
+
+  const server = net.createServer(sock => {
+    let buffer = '';
+    sock.on('error', () => {});
+    sock.on('data', chunk => {
+      buffer += chunk.toString('latin1');
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line) continue;
+        if (line.startsWith('S,SET PROTOCOL')) {
+          sock.write(`S,CURRENT PROTOCOL,${line.split(',')[2]}\r\n`);
+          continue;
+        }
+
+        requests.push(line);
+        const reqId = line.split(',').filter(Boolean).pop();
+        const fixture = fixtures.find(f => f.pattern.test(line) && !(f.times && f.hits >= f.times));
+        if (!fixture) {
+          sock.write(`${reqId},E,!SYNTAX_ERROR!,\r\n${reqId},!ENDMSG!,\r\n`);
+          continue;
+        }
+        fixture.hits++;
+        sendReply(sock, fixture, renderReply(fixture, reqId));
+      }
+    });
+  });
+
+  server.requests = requests;
+  return server;
+}
+
+module.exports = { createMockServer, loadFixtures };
+
+if (require.main === module) {
+  const arg = name => process.argv.find((a, i) => process.argv[i - 1] === name);
+  const port = parseInt(arg('--port')) || 9100;
+  const fixturesDir = path.resolve(arg('--fixtures') || DEFAULT_FIXTURES);
+
+  const server = createMockServer({ fixturesDir });
+  server.listen(port, () => {
+    console.log(`[mock] IQFeed mock listening on ${port} with fixtures from ${fixturesDir}`);
+  });
+}
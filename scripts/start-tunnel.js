@@ -5,22 +5,201 @@
  * Starts a Cloudflare quick tunnel for the IQFeed bridge,
  * captures the public URL, updates the repo, and pushes to GitHub
  * so Edge always has the latest URL.
+ *
+ * Config: .credentials/tunnel.json (or --config <file> / TUNNEL_CONFIG). Every key is
+ * optional; the defaults suit the Windows PC and work unchanged on Linux/macOS:
+ *   {
+ *     "cloudflared": "cloudflared",
+ *     "bridgePort": 8765,
+ *     "repoDir": "~/edgebot-brain",
+ *     "urlFile": "tasks/iqfeed-bridge.md",
+ *     "remote": "origin", "branch": "master",
+ *     "assumeUnchanged": [],
+ *     "healthGraceMs": 60000, "healthIntervalMs": 30000, "restartDelayMs": 10000
+ *   }
+ * cloudflared is a path or a name looked up on PATH. BRIDGE_PORT overrides bridgePort,
+ * else PORT (the bridge's own variable), so one env file can set up both.
+ * repoDir is the checkout Edge pulls the URL from (null = don't push); the
+ * trycloudflare URLs in its urlFile get replaced, then committed and pushed to
+ * remote/branch. assumeUnchanged paths are hidden from git while committing.
+ * healthIntervalMs and restartDelayMs are at least 1000.
+ * Without "cloudflared", PATH is searched first, then the usual install locations
+ * (Program Files on Windows, /usr/local/bin, /usr/bin, /opt/homebrew/bin elsewhere).
+ * "~" in paths is the home directory; relative paths are relative to the config file.
+ * On Windows/macOS assumeUnchanged defaults to the video files whose case-only
+ * renames trip up git on case-insensitive filesystems. A backup box (say Linux next
+ * to the Windows PC) should point urlFile at its own file so the two don't overwrite
+ * each other's URL.
+ *
+ * Usage:
+ *   node scripts/start-tunnel.js [--config <file>] [--check]
+ *   --check validates the config, prints what it resolved to and exits.
  */
 
-const { spawn, execSync } = require('child_process');
+const { spawn, execFileSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
-const CLOUDFLARED = 'C:\\Program Files (x86)\\cloudflared\\cloudflared.exe';
-const BRIDGE_PORT = 8765;
-const REPO_DIR = 'C:\\Users\\alexp\\edgebot-brain';
-const BRIDGE_MD = path.join(REPO_DIR, 'tasks', 'iqfeed-bridge.md');
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', '.credentials', 'tunnel.json');
+const CASE_RENAMED_VIDEOS = [
+  'memory/trade-ideas/videos-edu.json',
+  'memory/trade-ideas/videos-guide.json',
+  'memory/trade-ideas/videos-help.json'
+];
 
 function log(msg) {
   console.log(`[tunnel] ${new Date().toLocaleTimeString()} — ${msg}`);
 }
 
+// ── Config ─────────────────────────────────────────────────────
+
+function defaultConfig() {
+  return {
+    cloudflared: null,
+    bridgePort: 8765,
+    repoDir: path.join(os.homedir(), 'edgebot-brain'),
+    urlFile: 'tasks/iqfeed-bridge.md',
+    remote: 'origin',
+    branch: 'master',
+    assumeUnchanged: process.platform === 'linux' ? [] : CASE_RENAMED_VIDEOS,
+    healthGraceMs: 60000,
+    healthIntervalMs: 30000,
+    restartDelayMs: 10000
+  };
+}
+
+function cloudflaredCandidates() {
+  if (process.platform === 'win32') {
+    return ['C:\\Program Files (x86)\\cloudflared\\cloudflared.exe', 'C:\\Program Files\\cloudflared\\cloudflared.exe'];
+  }
+  return ['/usr/local/bin/cloudflared', '/usr/bin/cloudflared', '/opt/homebrew/bin/cloudflared'];
+}
+
+function isExecutable(file) {
+  try {
+    if (!fs.statSync(file).isFile()) return false;
+    if (process.platform !== 'win32') fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// First `name` on PATH (trying PATHEXT extensions on Windows), or null
+function findOnPath(name) {
+  const exts = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+    : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const ext of exts) {
+      const file = path.join(dir, name + ext);
+      if (isExecutable(file)) return file;
+    }
+  }
+  return null;
+}
+
+// "~/x" → home dir; relative → against baseDir
+function resolvePath(value, baseDir) {
+  const expanded = value === '~' || /^~[\\/]/.test(value) ? path.join(os.homedir(), value.slice(1)) : value;
+  return path.resolve(baseDir, expanded);
+}
+
+// → { config } or { errors }
+function loadConfig(argv, env) {
+  const errors = [];
+  const arg = name => argv.find((a, i) => argv[i - 1] === name);
+  const explicit = arg('--config') || env.TUNNEL_CONFIG;
+  const file = path.resolve(explicit || DEFAULT_CONFIG_FILE);
+  const config = defaultConfig();
+  let baseDir = process.cwd();
+
+  if (explicit || fs.existsSync(file)) {
+    try {
+      const fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) throw new Error('expected a JSON object');
+      for (const [key, value] of Object.entries(fromFile)) {
+        if (!(key in config)) errors.push(`${file}: unknown key "${key}"`);
+        else config[key] = value;
+      }
+      baseDir = path.dirname(file);
+      config.file = file;
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+    }
+  }
+  const envPort = env.BRIDGE_PORT || env.PORT;
+  if (envPort) config.bridgePort = /^\d+$/.test(envPort) ? parseInt(envPort) : envPort;
+
+  if (!Number.isInteger(config.bridgePort) || config.bridgePort < 1 || config.bridgePort > 65535) {
+    errors.push(`bridgePort must be an integer 1–65535 (got ${JSON.stringify(config.bridgePort)})`);
+  }
+  // A zero interval would poll the bridge / respawn cloudflared in a tight loop
+  for (const [key, min] of [['healthGraceMs', 0], ['healthIntervalMs', 1000], ['restartDelayMs', 1000]]) {
+    if (!Number.isInteger(config[key]) || config[key] < min) {
+      errors.push(`${key} must be a whole number of ms, at least ${min} (got ${JSON.stringify(config[key])})`);
+    }
+  }
+
+  const wanted = config.cloudflared;
+  if (wanted !== null && (typeof wanted !== 'string' || !wanted.trim())) {
+    errors.push('cloudflared must be a path or a program name');
+  } else if (wanted && (path.isAbsolute(wanted) || /[\\/]/.test(wanted) || wanted.startsWith('~'))) {
+    config.cloudflared = resolvePath(wanted, baseDir);
+    if (!isExecutable(config.cloudflared)) errors.push(`cloudflared: ${config.cloudflared} is not an executable file`);
+  } else {
+    config.cloudflared = findOnPath(wanted || 'cloudflared') || (wanted ? null : cloudflaredCandidates().find(isExecutable)) || null;
+    if (!config.cloudflared) {
+      errors.push(`cloudflared: ${wanted || 'cloudflared'} not found on PATH${wanted ? '' : ` or in ${cloudflaredCandidates().join(', ')}`} — install it or set "cloudflared"`);
+    }
+  }
+
+  if (config.repoDir !== null) {
+    if (typeof config.repoDir !== 'string' || !config.repoDir.trim()) {
+      errors.push('repoDir must be a path, or null to skip pushing the URL');
+    } else {
+      config.repoDir = resolvePath(config.repoDir, baseDir);
+      if (!fs.existsSync(path.join(config.repoDir, '.git'))) {
+        errors.push(`repoDir: ${config.repoDir} is not a git checkout (set "repoDir": null to skip pushing the URL)`);
+      } else if (typeof config.urlFile !== 'string' || !fs.existsSync(path.join(config.repoDir, config.urlFile))) {
+        errors.push(`urlFile: ${path.join(config.repoDir, String(config.urlFile))} does not exist`);
+      }
+    }
+    for (const key of ['remote', 'branch']) {
+      if (typeof config[key] !== 'string' || !/^[\w./-]+$/.test(config[key])) errors.push(`${key} must be a git ${key} name`);
+    }
+    if (!Array.isArray(config.assumeUnchanged) || config.assumeUnchanged.some(p => typeof p !== 'string')) {
+      errors.push('assumeUnchanged must be a list of paths in repoDir');
+    }
+  }
+
+  return errors.length ? { errors } : { config };
+}
+
+const loaded = loadConfig(process.argv.slice(2), process.env);
+if (loaded.errors) {
+  for (const e of loaded.errors) console.error(`[tunnel] config: ${e}`);
+  process.exit(2);
+}
+const CONFIG = loaded.config;
+const CLOUDFLARED = CONFIG.cloudflared;
+const BRIDGE_PORT = CONFIG.bridgePort;
+const REPO_DIR = CONFIG.repoDir;
+const BRIDGE_MD = REPO_DIR && path.join(REPO_DIR, CONFIG.urlFile);
+
+// ── Repo & alerts ──────────────────────────────────────────────
+
+function git(...args) {
+  return execFileSync('git', args, { cwd: REPO_DIR, stdio: 'ignore' });
+}
+
 function updateRepo(newUrl) {
+  if (!REPO_DIR) {
+    log('No repoDir configured, not pushing the URL');
+    return;
+  }
+  const hidden = CONFIG.assumeUnchanged;
   try {
     const md = fs.readFileSync(BRIDGE_MD, 'utf8');
     const updated = md.replace(
@@ -34,22 +213,23 @@ function updateRepo(newUrl) {
     }
 
     fs.writeFileSync(BRIDGE_MD, updated, 'utf8');
-    log('Updated tasks/iqfeed-bridge.md with new URL');
-
-    // Workaround for case-sensitivity issue with video files
-    execSync('git update-index --assume-unchanged memory/trade-ideas/videos-edu.json memory/trade-ideas/videos-guide.json memory/trade-ideas/videos-help.json', { cwd: REPO_DIR, stdio: 'ignore' });
+    log(`Updated ${CONFIG.urlFile} with new URL`);
 
-    execSync('git add tasks/iqfeed-bridge.md', { cwd: REPO_DIR });
-    execSync('git commit -m "Update IQFeed tunnel URL (auto)"', { cwd: REPO_DIR });
-    execSync('git pull --rebase origin master', { cwd: REPO_DIR });
-    execSync('git push', { cwd: REPO_DIR });
-
-    // Undo assume-unchanged
-    execSync('git update-index --no-assume-unchanged memory/trade-ideas/videos-edu.json memory/trade-ideas/videos-guide.json memory/trade-ideas/videos-help.json', { cwd: REPO_DIR, stdio: 'ignore' });
+    if (hidden.length) git('update-index', '--assume-unchanged', ...hidden);
+    git('add', CONFIG.urlFile);
+    git('commit', '-m', 'Update IQFeed tunnel URL (auto)');
+    git('pull', '--rebase', CONFIG.remote, CONFIG.branch);
+    git('push', CONFIG.remote, `HEAD:${CONFIG.branch}`);
 
     log('Pushed new URL to GitHub — Edge will see it on next git pull');
   } catch (err) {
     log(`Failed to update repo: ${err.message}`);
+  } finally {
+    if (hidden.length) {
+      try {
+        git('update-index', '--no-assume-unchanged', ...hidden);
+      } catch {}
+    }
   }
 }
 
@@ -59,18 +239,20 @@ function sendTelegramAlert(message) {
     if (!fs.existsSync(credsPath)) return;
     const { bot_token, chat_id } = JSON.parse(fs.readFileSync(credsPath, 'utf8'));
     if (!bot_token || !chat_id) return;
-    execSync(
-      `curl -s -X POST "https://api.telegram.org/bot${bot_token}/sendMessage" ` +
-      `--data-urlencode "chat_id=${chat_id}" ` +
-      `--data-urlencode "text=${message.replace(/"/g, '\\"')}"`,
-      { timeout: 10000 }
-    );
+    // No shell in between, so quoting works the same on Windows and Linux
+    execFileSync('curl', [
+      '-s', '-X', 'POST', `https://api.telegram.org/bot${bot_token}/sendMessage`,
+      '--data-urlencode', `chat_id=${chat_id}`,
+      '--data-urlencode', `text=${message}`
+    ], { timeout: 10000, stdio: 'ignore' });
     log('Telegram alert sent');
   } catch (err) {
     log(`Telegram alert failed: ${err.message}`);
   }
 }
 
+// ── Tunnel ─────────────────────────────────────────────────────
+
 function startTunnel() {
   log(`Starting Cloudflare tunnel for localhost:${BRIDGE_PORT}...`);
 
@@ -93,7 +275,7 @@ function startTunnel() {
         // Give it a moment to fully establish before updating repo
         setTimeout(() => updateRepo(url), 5000);
 
-        // Start health check loop (60s grace period, then every 30s)
+        // Start health check loop after the grace period
         setTimeout(() => {
           const healthInterval = setInterval(async () => {
             try {
@@ -106,10 +288,10 @@ function startTunnel() {
               log(`Health check FAILED: ${err.message}`);
               sendTelegramAlert(`IQFeed tunnel health check failed: ${err.message}\nTunnel URL: ${url}`);
             }
-          }, 30000);
+          }, CONFIG.healthIntervalMs);
 
           proc.on('exit', () => clearInterval(healthInterval));
-        }, 60000);
+        }, CONFIG.healthGraceMs);
       }
     }
   }
@@ -117,11 +299,20 @@ function startTunnel() {
   proc.stdout.on('data', handleOutput);
   proc.stderr.on('data', handleOutput);
 
-  proc.on('exit', (code) => {
-    log(`Tunnel exited with code ${code}. Restarting in 10 seconds...`);
-    sendTelegramAlert(`IQFeed tunnel died (exit code ${code}). Restarting in 10s...`);
-    setTimeout(startTunnel, 10000);
+  // A binary that can't be started emits 'error' and 'close' but never 'exit'
+  proc.on('error', err => log(`Couldn't run ${CLOUDFLARED}: ${err.message}`));
+
+  proc.on('close', (code) => {
+    const delay = Math.round(CONFIG.restartDelayMs / 1000);
+    log(`Tunnel exited with code ${code}. Restarting in ${delay} seconds...`);
+    sendTelegramAlert(`IQFeed tunnel died (exit code ${code}). Restarting in ${delay}s...`);
+    setTimeout(startTunnel, CONFIG.restartDelayMs);
   });
 }
 
-startTunnel();
+if (process.argv.includes('--check')) {
+  console.log(JSON.stringify(CONFIG, null, 2));
+} else {
+  log(`cloudflared: ${CLOUDFLARED}${CONFIG.file ? ` (config ${CONFIG.file})` : ''}`);
+  startTunnel();
+}
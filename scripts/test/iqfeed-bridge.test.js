@@ -0,0 +1,787 @@
+/**
+ * iqfeed-bridge.test.js — runs the real bridge against the IQFeed mock
+ *
+ * Starts scripts/iqfeed-mock.js (and a small Level 1 stub) in-process, spawns
+ * scripts/iqfeed-bridge.js pointed at it (own cache dir, own API key file),
+ * and checks parsing, retries, timeouts and HTTP status codes over HTTP.
+ *
+ * Usage: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockServer } = require('../iqfeed-mock');
+
+const BRIDGE = path.resolve(__dirname, '..', 'iqfeed-bridge.js');
+const API_KEY = 'test-key';
+
+let mock;
+let level1;
+let bridge;
+let baseUrl;
+let tmpDir;
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function freePort() {
+  const probe = require('net').createServer();
+  return listen(probe).then(port => new Promise(resolve => probe.close(() => resolve(port))));
+}
+
+function get(route, headers = {}) {
+  return fetch(`${baseUrl}${route}`, { headers: { 'X-API-Key': API_KEY, ...headers } });
+}
+
+function commandsFor(prefix) {
+  return mock.requests.filter(c => c.startsWith(prefix));
+}
+
+// Runs `iqfeed-bridge.js backfill …` against the mock; resolves { code, output }
+function runBackfill(args, cacheDir) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(process.execPath, [BRIDGE, 'backfill', ...args], {
+      env: { ...process.env, IQFEED_PORT: String(mock.address().port), IQFEED_TIMEOUT_MS: '1000', BRIDGE_CACHE_DIR: cacheDir },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    proc.stdout.on('data', chunk => { output += chunk; });
+    proc.stderr.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => { proc.kill(); reject(new Error(`backfill hung: ${output}`)); }, 30000);
+    proc.on('exit', code => { clearTimeout(timer); resolve({ code, output }); });
+  });
+}
+
+// Spawns one more bridge next to the shared one (PORT/IQFEED_PORT from the
+// environment cleared); resolves once it listens
+async function startExtraBridge(args, env = {}) {
+  const proc = spawn(process.execPath, [BRIDGE, ...args], {
+    env: { ...process.env, PORT: '', IQFEED_PORT: '', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  const exited = new Promise(resolve => proc.on('exit', resolve));
+  await new Promise((resolve, reject) => {
+    proc.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('IQFeed Bridge running')) resolve();
+    });
+    proc.on('exit', code => reject(new Error(`bridge exited early (${code}): ${output}`)));
+  });
+  return { proc, exited, output: () => output };
+}
+
+// Minimal Level 1 port: answers each watch with a summary (P) line, or n,SYM
+// for symbols it doesn't know
+const LEVEL1_QUOTES = {
+  AAPL2620B250: 'P,AAPL2620B250,5.10,2,10:15:00.000000,11,830,5.00,12,5.20,9,,,,,C,',
+  AAPL2620N250: 'P,AAPL2620N250,3.40,1,10:14:59.000000,11,410,3.35,20,3.45,15,,,,,C,'
+};
+
+function createLevel1Mock() {
+  return require('net').createServer(sock => {
+    sock.on('error', () => {});
+    sock.on('data', chunk => {
+      for (const line of chunk.toString().split('\r\n')) {
+        if (!line.startsWith('w')) continue;
+        const symbol = line.slice(1);
+        sock.write(`${LEVEL1_QUOTES[symbol] || `n,${symbol}`}\r\n`);
+      }
+    });
+  });
+}
+
+test.before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iqfeed-bridge-test-'));
+  const authFile = path.join(tmpDir, 'keys.json');
+  fs.writeFileSync(authFile, JSON.stringify({
+    keys: [
+      { id: 'test', key: API_KEY, rateLimit: { burst: 1000, perMinute: 6000 } },
+      { id: 'daily-only', key: 'daily-key', routes: ['/daily'] },
+      { id: 'batcher', key: 'batch-key', rateLimit: { burst: 3, perMinute: 1 } }
+    ]
+  }));
+
+  mock = createMockServer({ fixturesDir: path.join(__dirname, 'fixtures', 'iqfeed') });
+  const mockPort = await listen(mock);
+  level1 = createLevel1Mock();
+  const level1Port = await listen(level1);
+  const bridgePort = await freePort();
+  baseUrl = `http://127.0.0.1:${bridgePort}`;
+
+  bridge = spawn(process.execPath, [BRIDGE], {
+    env: {
+      ...process.env,
+      PORT: String(bridgePort),
+      IQFEED_PORT: String(mockPort),
+      LEVEL1_PORT: String(level1Port),
+      IQFEED_TIMEOUT_MS: '1000',
+      BRIDGE_CACHE_DIR: path.join(tmpDir, 'cache'),
+      BRIDGE_AUTH_FILE: authFile,
+      BRIDGE_ACCESS_LOG: path.join(tmpDir, 'access.log')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let out = '';
+    bridge.stdout.on('data', chunk => {
+      out += chunk;
+      if (out.includes('IQFeed Bridge running')) resolve();
+    });
+    bridge.on('exit', code => reject(new Error(`bridge exited early (${code}): ${out}`)));
+  });
+});
+
+test.after(() => {
+  if (bridge) bridge.kill();
+  if (mock) mock.close();
+  if (level1) level1.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('parses HIT bars into UTC + local times and skips unparseable lines', async () => {
+  const res = await get('/bars?symbol=AAPL&start=20260209&end=20260210');
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+
+  assert.strictEqual(body.count, 4);
+  assert.deepStrictEqual(body.data[0], {
+    time: '2026-02-09T14:35:00Z',
+    local: '2026-02-09T09:35:00-05:00',
+    open: 100.5, high: 101.5, low: 100.2, close: 101, volume: 1200
+  });
+  assert.strictEqual(body.data[3].time, '2026-02-10T21:05:00Z');
+});
+
+test('serves completed days from the cache on repeat requests', async () => {
+  const before = commandsFor('HIT,AAPL,').length;
+  const body = await (await get('/bars?symbol=AAPL&start=20260209&end=20260210')).json();
+
+  assert.strictEqual(commandsFor('HIT,AAPL,').length, before);
+  assert.deepStrictEqual(body.cache, { hitDays: 2, fetchedDays: 0 });
+  assert.strictEqual(body.count, 4);
+});
+
+test('legacyTime=1 keeps the old ET-with-Z timestamps', async () => {
+  const body = await (await get('/bars?symbol=AAPL&start=20260209&end=20260209&legacyTime=1')).json();
+  assert.strictEqual(body.data[0].time, '2026-02-09T09:35:00Z');
+  assert.strictEqual(body.data[0].local, undefined);
+});
+
+test('reassembles replies that arrive in small, slow chunks', async () => {
+  const body = await (await get('/bars?symbol=SLOW&start=20260209&end=20260209')).json();
+  assert.strictEqual(body.count, 2);
+  assert.strictEqual(body.data[1].close, 50.55);
+});
+
+test('NO_DATA is an empty 200, not an error', async () => {
+  const res = await get('/bars?symbol=EMPTY&start=20260209&end=20260209');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).count, 0);
+});
+
+test('a batch costs one rate-limit token per symbol', async () => {
+  const headers = { 'X-API-Key': 'batch-key', 'Content-Type': 'application/json' };
+  const res = await fetch(`${baseUrl}/bars/batch`, {
+    method: 'POST', headers, body: JSON.stringify({ symbols: ['AAPL', 'EMPTY', 'AAPL'], start: '20260209', end: '20260209' })
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).ok, 3);
+  // Three symbols emptied the three-token bucket
+  const next = await get('/daily?symbol=AAPL&start=20260209&end=20260210', { 'X-API-Key': 'batch-key' });
+  assert.strictEqual(next.status, 429);
+  assert.ok(+next.headers.get('retry-after') > 0);
+});
+
+test('batch bodies must be JSON objects', async () => {
+  for (const body of ['null', '[]', '"AAPL"', '{"symbols":[]}']) {
+    const res = await fetch(`${baseUrl}/bars/batch`, {
+      method: 'POST', body, headers: { 'X-API-Key': API_KEY, 'Content-Type': 'application/json' }
+    });
+    assert.strictEqual(res.status, 400, body);
+  }
+});
+
+test('IQFeed error lines become 502 and are not cached', async () => {
+  for (let i = 0; i < 2; i++) {
+    const res = await get('/bars?symbol=BADSYM&start=20260209&end=20260209');
+    assert.strictEqual(res.status, 502);
+    assert.match((await res.json()).error, /Invalid symbol/);
+  }
+  assert.strictEqual(commandsFor('HIT,BADSYM,').length, 2);
+});
+
+test('retries after IQConnect drops the connection mid-reply', async () => {
+  const res = await get('/bars?symbol=FLAKY&start=20260209&end=20260209');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).count, 1);
+  assert.strictEqual(commandsFor('HIT,FLAKY,').length, 2);
+});
+
+test('gives up with 500 after the retry budget is spent', async () => {
+  const res = await get('/bars?symbol=DEAD&start=20260209&end=20260209');
+  assert.strictEqual(res.status, 500);
+  assert.strictEqual(commandsFor('HIT,DEAD,').length, 3);
+});
+
+test('a reply with no end marker times out with partial data that is not cached', async () => {
+  const first = await (await get('/bars?symbol=HANG&start=20260209&end=20260209')).json();
+  assert.strictEqual(first.count, 1);
+
+  const second = await (await get('/bars?symbol=HANG&start=20260209&end=20260209')).json();
+  assert.deepStrictEqual(second.cache, { hitDays: 0, fetchedDays: 1 });
+});
+
+test('daily bars read volume from the HDT column layout', async () => {
+  const body = await (await get('/daily?symbol=AAPL&start=20260209&end=20260210')).json();
+  assert.strictEqual(body.count, 2);
+  assert.strictEqual(body.data[0].volume, 52000000);
+  assert.strictEqual(body.data[1].local, '2026-02-10T00:00:00-05:00');
+});
+
+test('ticks stream with microseconds and condition codes intact', async () => {
+  const body = await (await get('/ticks?symbol=AAPL&start=20260209')).json();
+  assert.strictEqual(body.count, 2);
+  assert.strictEqual(body.data[0].time, '2026-02-09T14:30:00.012345Z');
+  assert.deepStrictEqual(body.data[0].conditions, ['3D', '87']);
+  assert.strictEqual(body.data[1].exchange, 19);
+});
+
+test('uncached NDJSON bars go out day by day, not after IQFeed has sent the whole range', async () => {
+  const res = await get('/bars?symbol=SLOWD&start=20260209&end=20260210&format=ndjson');
+  let text = '';
+  let firstRowAt = null;
+  for await (const chunk of res.body) {
+    text += Buffer.from(chunk).toString();
+    if (firstRowAt === null && text.includes('\n')) firstRowAt = Date.now();
+  }
+  assert.ok(firstRowAt !== null && Date.now() - firstRowAt >= 500, 'first day arrived with the last');
+  assert.deepStrictEqual(text.trim().split('\n').map(l => JSON.parse(l).close), [30.4, 30.5]);
+  assert.strictEqual(commandsFor('HIT,SLOWD,').length, 2);
+});
+
+test('a tick stream IQFeed drops before any row is retried; one dropped mid-stream says so', async () => {
+  const before = commandsFor('HTT,TDROP,').length;
+  const retried = await (await get('/ticks?symbol=TDROP&start=20260209')).json();
+  assert.deepStrictEqual([retried.count, retried.complete], [1, true]);
+  assert.strictEqual(commandsFor('HTT,TDROP,').length - before, 2);
+
+  const cut = await get('/ticks?symbol=TCUT&start=20260209');
+  assert.strictEqual(cut.status, 200);
+  const body = await cut.json();
+  assert.deepStrictEqual([body.count, body.complete], [1, false]);
+  assert.match(body.error, /closed the connection before !ENDMSG!/);
+
+  assert.strictEqual((await get('/ticks?symbol=AAPL&days=0')).status, 400);
+});
+
+test('gzipped row streams flush each batch instead of holding it back', async () => {
+  const res = await get('/ticks?symbol=DRIP&start=20260209', { 'Accept-Encoding': 'gzip' });
+  assert.strictEqual(res.headers.get('content-encoding'), 'gzip');
+  let text = '';
+  let firstRowAt = null;
+  for await (const chunk of res.body) {
+    text += Buffer.from(chunk).toString();
+    if (firstRowAt === null && text.includes('"price"')) firstRowAt = Date.now();
+  }
+  assert.ok(firstRowAt !== null && Date.now() - firstRowAt >= 300, 'first tick arrived with the last');
+  assert.strictEqual(JSON.parse(text).count, 2);
+});
+
+test('limit must be a whole number in range, not parsed loosely', async () => {
+  for (const limit of ['0', '12abc', '-5', '1.5', '500001']) {
+    assert.strictEqual((await get(`/ticks?symbol=AAPL&start=20260209&limit=${limit}`)).status, 400, limit);
+  }
+  assert.strictEqual((await get('/news/headlines?symbols=AAPL&limit=0')).status, 400);
+  assert.strictEqual((await get('/replay?symbols=AAPL&date=20260209&mode=ticks&limit=0')).status, 400);
+  assert.strictEqual((await (await get('/ticks?symbol=AAPL&start=20260209&limit=1')).json()).count, 1);
+});
+
+test('csv and ndjson formats', async () => {
+  const csv = await (await get('/bars?symbol=AAPL&start=20260209&end=20260209&format=csv')).text();
+  assert.strictEqual(csv.split('\n')[0], 'time,local,open,high,low,close,volume');
+
+  const ndjson = await (await get('/bars?symbol=AAPL&start=20260209&end=20260209',
+    { Accept: 'application/x-ndjson' })).text();
+  assert.strictEqual(ndjson.trim().split('\n').length, 2);
+});
+
+test('futures use the Globex day: prior evening bars roll into the next session', async () => {
+  const body = await (await get('/bars?symbol=%40ES%23&start=20260209&end=20260209')).json();
+  assert.strictEqual(body.assetClass, 'future');
+  assert.strictEqual(body.count, 3);
+  assert.ok(commandsFor('HIT,@ES#,').some(c => c.includes(',20260208 180000,20260209 170000,')));
+
+  const rth = await (await get('/bars?symbol=%40ES%23&start=20260209&end=20260209&session=rth')).json();
+  assert.deepStrictEqual(rth.data.map(b => b.local), ['2026-02-09T09:35:00-05:00']);
+});
+
+test('symbol grammar accepts each asset class and blocks injection', async () => {
+  for (const symbol of ['BRK.B', '$SPX', '@ESH26', 'QCL#', 'QQQ2617L500', 'EURUSD.FXCM']) {
+    const res = await get(`/daily?symbol=${encodeURIComponent(symbol)}&start=20260209&end=20260209`);
+    assert.notStrictEqual(res.status, 400, symbol);
+  }
+  for (const symbol of ['AAPL,HIT', 'AAPL\r\nHDT', 'aapl', '@ES', 'A B']) {
+    const res = await get(`/daily?symbol=${encodeURIComponent(symbol)}&start=20260209&end=20260209`);
+    assert.strictEqual(res.status, 400, symbol);
+  }
+});
+
+test('quality block reports gaps, zero volume, duplicates, bad OHLC and unparsed lines', async () => {
+  const route = '/bars?symbol=QUAL&start=20260209&end=20260209&interval=1800&session=rth';
+  const { quality } = await (await get(route)).json();
+  assert.strictEqual(quality.ok, false);
+  assert.strictEqual(quality.expectedBars, 13);
+  assert.strictEqual(quality.missingBars, 2);
+  assert.deepStrictEqual(quality.missing, [{ from: '2026-02-09T16:00:00Z', to: '2026-02-09T16:30:00Z', bars: 2 }]);
+  assert.deepStrictEqual(quality.zeroVolume, { count: 1, times: ['2026-02-09T18:00:00Z'] });
+  assert.deepStrictEqual(quality.duplicates, { count: 1, times: ['2026-02-09T17:00:00Z'] });
+  assert.deepStrictEqual(quality.inconsistent, { count: 1, times: ['2026-02-09T19:00:00Z'] });
+  assert.strictEqual(quality.unparsedLines, 1);
+
+  const strict = await get(`${route}&strict=true`);
+  assert.strictEqual(strict.status, 422);
+  const body = await strict.json();
+  assert.match(body.error, /2 missing bars/);
+  assert.strictEqual(body.data, undefined);
+});
+
+test('indicators align to bars and VWAP resets each trading day', async () => {
+  const body = await (await get('/indicators?symbol=AAPL&start=20260209&end=20260210&study=sma:2,vwap,rsi:2')).json();
+  assert.deepStrictEqual(body.studies, ['sma_2', 'vwap', 'rsi_2']);
+  assert.strictEqual(body.count, 4);
+  assert.strictEqual(body.data[0].time, '2026-02-09T14:35:00Z');
+  assert.strictEqual(body.data[0].sma_2, null);
+  assert.strictEqual(body.data[1].sma_2, 101.4);
+  assert.strictEqual(body.data[1].vwap, 101.203);
+  assert.strictEqual(body.data[2].vwap, 102.4333);
+  assert.strictEqual(body.data[2].rsi_2, 100);
+
+  assert.strictEqual((await get('/indicators?symbol=AAPL&start=20260209&end=20260210&study=macd')).status, 400);
+});
+
+test('scan summarises pre-market, gap, relative volume and opening ranges per symbol', async () => {
+  const body = await (await get('/scan?symbols=BADSYM,GAPR&date=20260210&orb=1,5,15')).json();
+  assert.strictEqual(body.ok, 1);
+  assert.strictEqual(body.failed, 1);
+
+  const [gapr, bad] = body.results;
+  assert.strictEqual(gapr.symbol, 'GAPR');
+  assert.strictEqual(gapr.priorClose, 50);
+  assert.deepStrictEqual(gapr.premarket, { high: 52.8, low: 51.8, volume: 4000, last: 52.7 });
+  assert.strictEqual(gapr.open, 53);
+  assert.strictEqual(gapr.gapPct, 6);
+  assert.strictEqual(gapr.gapBasis, 'open');
+  assert.strictEqual(gapr.avgPremarketVolume, 2000);
+  assert.strictEqual(gapr.rvol, 2);
+  assert.deepStrictEqual(gapr.orb, {
+    1: { high: 53.4, low: 52.9, complete: true },
+    5: { high: 53.9, low: 52.9, complete: true },
+    15: { high: 54.5, low: 52.9, complete: true }
+  });
+  assert.strictEqual(bad.symbol, 'BADSYM');
+  assert.strictEqual(bad.status, 502);
+
+  // No prior close means no gap; that sorts last, not as a 0% move
+  const asc = await (await get('/scan?symbols=EMPTY,GAPR&date=20260210&order=asc')).json();
+  assert.deepStrictEqual(asc.results.map(r => [r.symbol, r.gapPct]), [['GAPR', 6], ['EMPTY', null]]);
+
+  assert.strictEqual((await get('/scan?symbols=GAPR&sort=float')).status, 400);
+  assert.strictEqual((await get('/scan?symbols=GAPR&orb=0')).status, 400);
+  assert.strictEqual((await get('/scan?symbols=GAPR&date=20261399')).status, 400);
+});
+
+test('calendar: trading days skip holidays, early closes shorten the session', async () => {
+  const { days } = await (await get('/calendar?days=3&end=20260217')).json();
+  assert.deepStrictEqual(days.map(d => d.date), ['20260212', '20260213', '20260217']);
+
+  const [friday] = (await (await get('/calendar?days=1&end=20261127')).json()).days;
+  assert.deepStrictEqual(friday, { date: '20261127', open: '09:30', close: '13:00', earlyClose: 'Day after Thanksgiving' });
+
+  const rth = await (await get('/calendar?at=2026-02-09T15:00:00Z')).json();
+  assert.strictEqual(rth.open, true);
+  assert.strictEqual(rth.session, 'rth');
+  const holiday = await (await get('/calendar?at=2026-02-16T15:00:00Z')).json();
+  assert.strictEqual(holiday.open, false);
+  assert.strictEqual(holiday.holiday, "Washington's Birthday");
+  // Sunday evening Globex already trades Monday's session
+  const globex = await (await get('/calendar?exchange=CME&at=2026-02-08T23:30:00Z')).json();
+  assert.strictEqual(globex.tradingDay, '20260209');
+  assert.strictEqual(globex.session, 'premarket');
+});
+
+test('bar ranges snap to trading days; a holiday-only range is a 400', async () => {
+  const body = await (await get('/bars?symbol=AAPL&start=20260207&end=20260209')).json();
+  assert.strictEqual(body.start, '20260209');
+  assert.strictEqual(body.count, 2);
+
+  const res = await get('/bars?symbol=AAPL&start=20260216&end=20260216');
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).error, /Washington's Birthday/);
+});
+
+test('backfill fills the cache, reports gaps and errors, and resumes from the cache', async () => {
+  const watchlist = path.join(tmpDir, 'watchlist.txt');
+  const summaryFile = path.join(tmpDir, 'backfill-summary.json');
+  const cacheDir = path.join(tmpDir, 'backfill', 'bars');
+  fs.writeFileSync(watchlist, '# morning list\nAAPL\nEMPTY, BADSYM\n');
+  const args = ['--watchlist', watchlist, '--start', '20260206', '--end', '20260210', '--summary', summaryFile];
+
+  const first = await runBackfill(args, cacheDir);
+  assert.strictEqual(first.code, 1, first.output);
+  const summary = JSON.parse(fs.readFileSync(summaryFile, 'utf8'));
+  assert.strictEqual(summary.symbols, 3);
+  const [aapl, empty, bad] = summary.results;
+  assert.deepStrictEqual([aapl.days, aapl.fetchedDays, aapl.gaps], [3, 3, []]);
+  assert.deepStrictEqual(aapl.emptyDays, ['20260206']);
+  assert.deepStrictEqual(empty.emptyDays, ['20260206', '20260209', '20260210']);
+  assert.strictEqual(bad.gaps.length, 3);
+  assert.match(bad.errors[0], /Invalid symbol/);
+
+  const hitsBefore = commandsFor('HIT,AAPL,').length;
+  // Without --summary it lands next to the cache dir
+  await runBackfill(args.slice(0, -2), cacheDir);
+  const again = JSON.parse(fs.readFileSync(path.join(tmpDir, 'backfill', 'backfill-summary.json'), 'utf8')).results[0];
+  assert.deepStrictEqual([again.cachedBefore, again.fetchedDays], [3, 0]);
+  assert.strictEqual(commandsFor('HIT,AAPL,').length, hitsBefore);
+});
+
+// "event: x\ndata: {...}" blocks → [{ event, data }]
+function parseSse(text) {
+  return text.trim().split('\n\n').filter(b => b.startsWith('event:')).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+  });
+}
+
+test('replay merges symbols into one deterministic timeline', async () => {
+  const route = '/replay?symbols=AAPL,GAPR,aapl!&date=20260209&interval=300&speed=max';
+  const first = await (await get(route)).text();
+  const events = parseSse(first);
+
+  assert.strictEqual(events[0].event, 'ready');
+  assert.strictEqual(events[0].data.events, 4);
+  assert.deepStrictEqual(events[0].data.rejected.map(r => r.symbol), ['aapl!']);
+  assert.deepStrictEqual(events.slice(1, -1).map(e => `${e.data.symbol} ${e.data.local}`), [
+    'GAPR 2026-02-09T08:05:00-05:00',
+    'AAPL 2026-02-09T09:35:00-05:00',
+    'GAPR 2026-02-09T09:35:00-05:00',
+    'AAPL 2026-02-09T09:40:00-05:00'
+  ]);
+  assert.strictEqual(events[events.length - 1].event, 'done');
+
+  const again = parseSse(await (await get(route)).text());
+  assert.deepStrictEqual(again.slice(0, -1), events.slice(0, -1));
+
+  const ticks = parseSse(await (await get('/replay?symbols=AAPL&date=20260209&mode=ticks&speed=max')).text());
+  assert.deepStrictEqual(ticks.slice(1, -1).map(e => [e.event, e.data.last, e.data.lastTime]), [
+    ['trade', 100.5, '09:30:00.012345'],
+    ['trade', 100.52, '09:30:00.500001']
+  ]);
+
+  assert.strictEqual((await get('/replay?symbols=AAPL&date=20260209&speed=fast')).status, 400);
+});
+
+test('replay rejects a symbol whose session IQFeed cut short instead of playing part of it', async () => {
+  for (const mode of ['bars', 'ticks']) {
+    const route = `/replay?symbols=AAPL,HANG&date=20260209&mode=${mode}&interval=300&speed=max`;
+    const events = parseSse(await (await get(route)).text());
+    assert.deepStrictEqual(events[0].data.symbols, ['AAPL'], mode);
+    assert.deepStrictEqual(events[0].data.rejected.map(r => [r.symbol, r.status]), [['HANG', 504]], mode);
+    assert.ok(events.slice(1, -1).every(e => e.data.symbol === 'AAPL'), mode);
+  }
+});
+
+test('news headlines and stories parse, validate and cache', async () => {
+  const route = '/news/headlines?symbols=AAPL&date=20260209';
+  const body = await (await get(route)).json();
+  assert.strictEqual(body.count, 2);
+  assert.deepStrictEqual(body.data[0], {
+    time: '2026-02-09T13:30:15Z',
+    local: '2026-02-09T08:30:15-05:00',
+    id: '22581852',
+    source: 'DTN',
+    symbols: ['AAPL', 'MSFT'],
+    headline: 'Apple, Microsoft lead pre-market gainers'
+  });
+  assert.ok(commandsFor('NHL,').some(c => c.startsWith('NHL,,AAPL,t,50,20260209,')));
+
+  const before = commandsFor('NHL,').length;
+  assert.strictEqual((await (await get(route)).json()).cached, true);
+  assert.strictEqual(commandsFor('NHL,').length, before);
+
+  const story = await (await get('/news/story?id=22581852')).json();
+  assert.deepStrictEqual(story.symbols, ['AAPL', 'MSFT']);
+  assert.strictEqual(story.text, 'Shares of Apple and Microsoft rose in early trading,\nled by strength in large-cap tech.');
+  assert.strictEqual((await (await get('/news/story?id=22581852')).json()).cached, true);
+
+  assert.strictEqual((await get('/news/story?id=99')).status, 404);
+  assert.strictEqual((await get('/news/story?id=1;NSY')).status, 400);
+  assert.strictEqual((await get('/news/headlines?symbols=AAPL,aa%0d')).status, 400);
+  assert.strictEqual((await get('/news/headlines?symbols=AAPL&end=20260209')).status, 400);
+});
+
+test('options chain decodes IQFeed option symbols and snapshots quotes', async () => {
+  const chain = await (await get('/options/chain?symbol=AAPL&expiry=20260220')).json();
+  assert.ok(commandsFor('CEO,AAPL,pc,BN,').length >= 1);
+  assert.deepStrictEqual(chain.expirations, ['20260220']);
+  assert.deepStrictEqual(chain.strikes, [250, 255]);
+  assert.deepStrictEqual(chain.contracts[0], {
+    symbol: 'AAPL2620B250', root: 'AAPL', expiry: '20260220', type: 'call', strike: 250
+  });
+  assert.strictEqual(chain.count, 4);
+
+  const snap = await (await get('/options/chain?symbol=AAPL&expiry=20260220&snapshot=1')).json();
+  const quotes = Object.fromEntries(snap.contracts.map(c => [c.symbol, c.quote]));
+  assert.deepStrictEqual(quotes.AAPL2620N250, { bid: 3.35, bidSize: 20, ask: 3.45, askSize: 15, last: 3.4, volume: 410 });
+  assert.strictEqual(quotes.AAPL2620B255, null);
+  assert.strictEqual(snap.snapshot.complete, true);
+
+  assert.strictEqual((await get('/options/chain?symbol=%40ES%23')).status, 400);
+});
+
+test('rejects bad input with 400', async () => {
+  for (const route of [
+    '/bars?symbol=AAPL&start=20260209',
+    '/bars?symbol=aapl;rm&start=20260209&end=20260209',
+    '/bars?symbol=AAPL&start=2026-02-09&end=20260209',
+    '/bars?symbol=AAPL&start=20260210&end=20260209',
+    '/bars?symbol=AAPL&start=20260209&end=20260209&interval=7',
+    '/bars?symbol=AAPL&start=20260209&end=20260209&tz=Mars/Olympus',
+    '/bars?symbol=AAPL&start=20260209&end=20260209&format=xml',
+    '/bars?symbol=AAPL&start=20260227&end=20260230',
+    '/calendar?days=3abc',
+    '/calendar?days=3&end=20261399'
+  ]) {
+    const res = await get(route);
+    assert.strictEqual(res.status, 400, route);
+  }
+  const { error } = await (await get('/bars?symbol=AAPL&start=20260227&end=20260230')).json();
+  assert.strictEqual(error, 'Invalid end — use a real date as YYYYMMDD (got 20260230)');
+});
+
+test('auth: 401 without a key, 403 outside the key\'s routes, /health stays open', async () => {
+  assert.strictEqual((await fetch(`${baseUrl}/bars?symbol=AAPL&start=20260209&end=20260209`)).status, 401);
+  assert.strictEqual((await get('/bars?symbol=AAPL&start=20260209&end=20260209', { 'X-API-Key': 'daily-key' })).status, 403);
+  assert.strictEqual((await fetch(`${baseUrl}/health`)).status, 200);
+
+  // ?key= only works where EventSource can't send headers
+  assert.strictEqual((await fetch(`${baseUrl}/daily?symbol=AAPL&start=20260209&end=20260210&key=${API_KEY}`)).status, 401);
+  assert.notStrictEqual((await fetch(`${baseUrl}/stream/watch?client=none&key=${API_KEY}`)).status, 401);
+
+  const status = await (await get('/status')).json();
+  assert.ok(status.auth.unauthorized >= 1);
+  assert.ok(status.auth.forbidden >= 1);
+});
+
+test('auth: HMAC signatures cover method, path, query and body, and work once', async () => {
+  const route = '/bars/batch?format=json';
+  const body = JSON.stringify({ symbols: ['AAPL'], start: '20260209', end: '20260209' });
+  const sent = [];
+  const signed = (payload, delivered = payload) => {
+    const ts = Math.floor(Date.now() / 1000);
+    const hash = require('crypto').createHash('sha256').update(payload).digest('hex');
+    const signature = require('crypto').createHmac('sha256', API_KEY)
+      .update(`${ts}\nPOST\n${route}\n${hash}`).digest('hex');
+    const init = {
+      method: 'POST', body: delivered,
+      headers: { 'X-Key-Id': 'test', 'X-Timestamp': String(ts), 'X-Signature': signature, 'Content-Type': 'application/json' }
+    };
+    sent.push(init);
+    return fetch(`${baseUrl}${route}`, init);
+  };
+
+  const ok = await signed(body);
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual((await ok.json()).ok, 1);
+  // A captured request can't be sent again inside the timestamp window
+  const replayed = await fetch(`${baseUrl}${route}`, sent[0]);
+  assert.strictEqual(replayed.status, 401);
+  assert.strictEqual((await replayed.json()).error, 'Signature already used');
+  const tampered = await signed(body, body.replace('AAPL', 'MSFT'));
+  assert.strictEqual(tampered.status, 401);
+  assert.strictEqual((await tampered.json()).error, 'Invalid signature');
+});
+
+test('metrics count routes, IQFeed round trips, retries and errors by cause; access log is JSON lines', async () => {
+  const res = await get('/metrics');
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  const text = await res.text();
+  assert.match(text, /^iqfeed_bridge_http_requests_total\{route="\/bars",status="200"\} \d+$/m);
+  assert.match(text, /^iqfeed_bridge_http_request_duration_seconds_bucket\{route="\/bars",le="\+Inf"\} \d+$/m);
+  assert.match(text, /^iqfeed_bridge_iqfeed_roundtrip_seconds_count\{command="HIT"\} \d+$/m);
+  assert.match(text, /^iqfeed_bridge_iqfeed_retries_total\{command="HIT"\} [1-9]/m);
+  assert.match(text, /^iqfeed_bridge_rows_returned_total\{route="\/bars"\} [1-9]/m);
+  assert.match(text, /^iqfeed_bridge_errors_total\{cause="iqfeed_error"\} [1-9]/m);
+  assert.match(text, /^iqfeed_bridge_errors_total\{cause="iqfeed_unavailable"\} [1-9]/m);
+
+  // The DEAD symbol's { error, status: 500 } counts on /status too
+  const status = await (await get('/status')).json();
+  assert.ok(status.errors >= 1);
+
+  await (await get('/bars?symbol=AAPL&start=20260209&end=20260209&key=leaky')).text();
+  // The entry is written when the server side of the response closes, just after the client has it
+  const readLog = () => fs.readFileSync(path.join(tmpDir, 'access.log'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  const leaky = e => e.path.startsWith('/bars?') && e.path.includes('key=');
+  for (let i = 0; i < 20 && !readLog().some(leaky); i++) await new Promise(r => setTimeout(r, 50));
+  const log = readLog();
+  const last = log.find(leaky);
+  assert.strictEqual(last.path, '/bars?symbol=AAPL&start=20260209&end=20260209&key=REDACTED');
+  assert.strictEqual(last.status, 200);
+  assert.strictEqual(last.key, 'test');
+  assert.ok(log.some(entry => entry.status === 502 && /Invalid symbol/.test(entry.error)));
+});
+
+test('config: a bad file or flag stops startup and lists every problem', async () => {
+  const configFile = path.join(tmpDir, 'bad-config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ iqfeedPort: 'ninety-one hundred', retries: 2 }));
+  const proc = spawn(process.execPath, [BRIDGE, '--config', configFile, '--port', '70000'], { stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  proc.stderr.on('data', chunk => { output += chunk; });
+  const code = await new Promise(resolve => proc.on('exit', resolve));
+
+  assert.strictEqual(code, 2);
+  assert.match(output, /unknown key "retries"/);
+  assert.match(output, /bad-config\.json "iqfeedPort": must be an integer/);
+  assert.match(output, /--port: must be an integer 1–65535 \(got "70000"\)/);
+});
+
+test('a second bridge from a config file aborts lookups for departed clients and drains on SIGTERM', async () => {
+  const port = await freePort();
+  const configFile = path.join(tmpDir, 'second-bridge.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    port: 1,   // overridden by --port below
+    iqfeedPort: mock.address().port,
+    iqfeedTimeoutMs: 5000,
+    lookupRetries: 0,
+    cacheDir: 'second-cache',
+    authFile: 'keys.json',
+    accessLog: 'off'
+  }));
+  const { proc: second, exited, output } = await startExtraBridge(['--config', configFile, '--port', String(port)]);
+  const url = `http://127.0.0.1:${port}`;
+  const headers = { 'X-API-Key': API_KEY };
+
+  try {
+    const abandoned = fetch(`${url}/bars?symbol=LAG&start=20260209&end=20260209`, { headers, signal: AbortSignal.timeout(300) });
+    await assert.rejects(abandoned);
+    // The bridge sees the hang-up a moment after the client gives up
+    let metrics = '';
+    for (let i = 0; i < 20 && !metrics.includes('outcome="aborted"'); i++) {
+      await new Promise(r => setTimeout(r, 50));
+      metrics = await (await fetch(`${url}/metrics`, { headers })).text();
+    }
+    assert.match(metrics, /^iqfeed_bridge_iqfeed_requests_total\{command="HIT",outcome="aborted"\} 1$/m);
+    assert.match(metrics, /^iqfeed_bridge_errors_total\{cause="client_closed"\} 1$/m);
+    assert.match(metrics, /^iqfeed_bridge_http_requests_total\{route="\/bars",status="499"\} 1$/m);
+    assert.doesNotMatch(metrics, /duration_seconds_count\{route="\/bars"\}/);
+
+    const inFlight = fetch(`${url}/bars?symbol=LAG&start=20260209&end=20260209`, { headers });
+    await new Promise(r => setTimeout(r, 300));
+    second.kill('SIGTERM');
+    const res = await inFlight;
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).count, 1);
+    assert.strictEqual(await exited, 0);
+    assert.match(output(), /\[shutdown\] SIGTERM — draining 1 request/);
+  } finally {
+    second.kill();
+  }
+});
+
+test('falls back to CSV/AmiBroker files when IQConnect is down and labels the provider', async () => {
+  const port = await freePort();
+  const { proc } = await startExtraBridge([
+    '--port', String(port),
+    '--iqfeed-port', String(await freePort()),   // nothing listening
+    '--lookup-retries', '0',
+    '--providers', 'iqfeed,files',
+    '--files-dir', path.join(__dirname, 'fixtures', 'files')
+  ], { BRIDGE_AUTH_FILE: path.join(tmpDir, 'keys.json'), BRIDGE_CACHE_DIR: path.join(tmpDir, 'files-cache'), BRIDGE_ACCESS_LOG: 'off' });
+  const url = `http://127.0.0.1:${port}`;
+  const headers = { 'X-API-Key': API_KEY };
+
+  try {
+    const health = await (await fetch(`${url}/health`)).json();
+    assert.deepStrictEqual(health.providers, { iqfeed: false, files: true });
+    assert.strictEqual(health.provider, 'files');
+
+    // Start-stamped 1-minute export → IQFeed-style end-stamped 5-minute bars
+    const res = await fetch(`${url}/bars?symbol=AAPL&start=20260209&end=20260209&session=rth`, { headers });
+    assert.strictEqual(res.headers.get('x-data-provider'), 'files');
+    const bars = await res.json();
+    assert.strictEqual(bars.provider, 'files');
+    assert.deepStrictEqual(bars.data.map(b => [b.time, b.open, b.high, b.low, b.close, b.volume]), [
+      ['2026-02-09T14:35:00Z', 100, 100.9, 99.9, 100.55, 5400],
+      ['2026-02-09T14:40:00Z', 100.55, 101, 100.5, 100.95, 2000]
+    ]);
+
+    const weekly = await (await fetch(`${url}/weekly?symbol=AAPL&start=20260209&end=20260220`, { headers })).json();
+    assert.deepStrictEqual(weekly.data.map(b => [b.time.slice(0, 10), b.open, b.high, b.low, b.close]), [
+      ['2026-02-13', 100, 103.5, 99.5, 101.7],
+      ['2026-02-17', 101.7, 104, 101.5, 103.8]
+    ]);
+    assert.strictEqual((await fetch(`${url}/daily?symbol=MSFT&start=20260209&end=20260210`, { headers })).status, 404);
+    assert.strictEqual((await fetch(`${url}/bars?symbol=AAPL&start=20260209&end=20260209&provider=iqfeed`, { headers })).status, 500);
+  } finally {
+    proc.kill();
+  }
+
+  // The shared bridge only knows IQFeed
+  const forced = await get('/daily?symbol=AAPL&start=20260209&end=20260210&provider=files');
+  assert.strictEqual(forced.status, 400);
+  const daily = await get('/daily?symbol=AAPL&start=20260209&end=20260210');
+  assert.strictEqual(daily.headers.get('x-data-provider'), 'iqfeed');
+  assert.strictEqual((await daily.json()).provider, 'iqfeed');
+});
+
+test('past sessions get validators and a day\'s max-age; If-None-Match answers 304', async () => {
+  const route = '/bars?symbol=AAPL&start=20260209&end=20260210';
+  const res = await get(route);
+  const etag = res.headers.get('etag');
+  assert.match(etag, /^W\/"[\w-]+"$/);
+  assert.strictEqual(res.headers.get('cache-control'), 'public, max-age=86400');
+  assert.strictEqual(res.headers.get('last-modified'), 'Wed, 11 Feb 2026 01:00:00 GMT');   // 20:00 ET close
+  assert.strictEqual(res.headers.get('vary'), 'Accept, Accept-Encoding');   // ?format or Accept picks CSV
+  await res.arrayBuffer();
+
+  // Gzipped or not, weak or strong
+  const again = await get(route, { 'If-None-Match': etag.slice(2), 'Accept-Encoding': 'identity' });
+  assert.strictEqual(again.status, 304);
+  assert.strictEqual(again.headers.get('etag'), etag);
+  assert.strictEqual(await again.text(), '');
+  assert.strictEqual((await get(route, { 'If-Modified-Since': 'Wed, 11 Feb 2026 01:00:00 GMT' })).status, 304);
+  assert.strictEqual((await get(route, { 'If-None-Match': 'W/"other"' })).status, 200);
+
+  // The tag covers the whole body, not just the rows: same (no) bars, but the
+  // second answer comes from the cache
+  const fresh = '/bars?symbol=EMPTY&start=20260211&end=20260211';
+  const fetched = await get(fresh);
+  assert.deepStrictEqual((await fetched.json()).cache, { hitDays: 0, fetchedDays: 1 });
+  const fromCache = await get(fresh, { 'If-None-Match': fetched.headers.get('etag') });
+  assert.strictEqual(fromCache.status, 200);
+  assert.deepStrictEqual((await fromCache.json()).cache, { hitDays: 1, fetchedDays: 0 });
+
+  // A range that runs into today (or later) keeps forming
+  const open = await get('/daily?symbol=AAPL&start=20260209&end=20301231');
+  assert.strictEqual(open.headers.get('cache-control'), 'no-cache');
+  const openEtag = open.headers.get('etag');
+  await open.arrayBuffer();
+  assert.strictEqual((await get('/daily?symbol=AAPL&start=20260209&end=20301231', { 'If-None-Match': openEtag })).status, 304);
+  assert.strictEqual((await get('/daily?symbol=AAPL&start=20260209&end=20301231', {
+    'If-Modified-Since': new Date(Date.now() + 60000).toUTCString()
+  })).status, 200);
+
+  assert.strictEqual((await get('/bars?symbol=AAPL')).headers.get('cache-control'), 'no-store');
+  assert.strictEqual((await get('/health')).headers.get('vary'), 'Accept-Encoding');
+});
+
+test('unknown routes are 404', async () => {
+  assert.strictEqual((await get('/nope')).status, 404);
+});
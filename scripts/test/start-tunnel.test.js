@@ -0,0 +1,123 @@
+/**
+ * start-tunnel.test.js — config resolution of the tunnel launcher
+ *
+ * Runs scripts/start-tunnel.js --check against throwaway config files, a
+ * fake cloudflared on a private PATH and a stand-in repo checkout, so
+ * nothing is started or pushed.
+ *
+ * Usage: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LAUNCHER = path.resolve(__dirname, '..', 'start-tunnel.js');
+
+let tmpDir;
+let binDir;
+
+// → { code, stdout, stderr }
+function check(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [LAUNCHER, '--check', ...args], {
+      env: { ...process.env, PATH: binDir, TUNNEL_CONFIG: '', BRIDGE_PORT: '', PORT: '', ...env },
+      timeout: 10000
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+}
+
+function writeConfig(name, config) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return file;
+}
+
+test.before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'start-tunnel-test-'));
+  binDir = path.join(tmpDir, 'bin');
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, 'cloudflared'), '#!/bin/sh\n', { mode: 0o755 });
+  fs.mkdirSync(path.join(tmpDir, 'repo', '.git'), { recursive: true });
+  fs.mkdirSync(path.join(tmpDir, 'repo', 'tasks'));
+  fs.writeFileSync(path.join(tmpDir, 'repo', 'tasks', 'iqfeed-bridge.md'), 'https://old.trycloudflare.com\n');
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('--config resolves cloudflared on PATH and paths against the config file', async () => {
+  const file = writeConfig('good.json', { bridgePort: 9000, repoDir: 'repo', healthGraceMs: 0 });
+  const { code, stdout, stderr } = await check(['--config', file]);
+  assert.strictEqual(code, 0, stderr);
+  const config = JSON.parse(stdout);
+  assert.strictEqual(config.cloudflared, path.join(binDir, 'cloudflared'));
+  assert.strictEqual(config.repoDir, path.join(tmpDir, 'repo'));
+  assert.strictEqual(config.bridgePort, 9000);
+  assert.strictEqual(config.healthGraceMs, 0);
+  assert.strictEqual(config.restartDelayMs, 10000);
+  assert.strictEqual(config.file, file);
+});
+
+test('TUNNEL_CONFIG picks the file, BRIDGE_PORT or PORT overrides it, explicit cloudflared paths are checked', async () => {
+  const file = writeConfig('env.json', { cloudflared: 'bin/cloudflared', repoDir: null });
+  const { code, stdout, stderr } = await check([], { TUNNEL_CONFIG: file, BRIDGE_PORT: '8800' });
+  assert.strictEqual(code, 0, stderr);
+  const config = JSON.parse(stdout);
+  assert.strictEqual(config.cloudflared, path.join(binDir, 'cloudflared'));
+  assert.strictEqual(config.repoDir, null);
+  assert.strictEqual(config.bridgePort, 8800);
+
+  // The bridge's PORT works too, below BRIDGE_PORT
+  assert.strictEqual(JSON.parse((await check([], { TUNNEL_CONFIG: file, PORT: '8801' })).stdout).bridgePort, 8801);
+  assert.strictEqual(JSON.parse((await check([], { TUNNEL_CONFIG: file, PORT: '8801', BRIDGE_PORT: '8800' })).stdout).bridgePort, 8800);
+
+  // --config wins over TUNNEL_CONFIG
+  const other = writeConfig('other.json', { repoDir: null, bridgePort: 8900 });
+  assert.strictEqual(JSON.parse((await check(['--config', other], { TUNNEL_CONFIG: file })).stdout).bridgePort, 8900);
+});
+
+test('a missing or unparseable config file exits 2', async () => {
+  const missing = path.join(tmpDir, 'nope.json');
+  const gone = await check(['--config', missing]);
+  assert.strictEqual(gone.code, 2);
+  assert.match(gone.stderr, new RegExp(`\\[tunnel\\] config: ${missing.replace(/[.\\]/g, '\\$&')}: ENOENT`));
+  assert.strictEqual(gone.stdout, '');
+
+  const broken = await check(['--config', writeConfig('broken.json', '{ "bridgePort": 8765, }')]);
+  assert.strictEqual(broken.code, 2);
+  assert.match(broken.stderr, /broken\.json: .*JSON/);
+
+  const list = await check(['--config', writeConfig('list.json', '[]')]);
+  assert.strictEqual(list.code, 2);
+  assert.match(list.stderr, /list\.json: expected a JSON object/);
+});
+
+test('a bad config lists every problem, not just the first', async () => {
+  const file = writeConfig('bad.json', {
+    bridgePort: 'x', healthIntervalMs: 0, restartDelayMs: 999, cloudflared: 'cloudflared-nope',
+    repoDir: 'not-a-repo', branch: 'bad branch', assumeUnchanged: 'a.json', colour: 'blue'
+  });
+  const { code, stdout, stderr } = await check(['--config', file]);
+  assert.strictEqual(code, 2);
+  assert.strictEqual(stdout, '');
+  const lines = stderr.trim().split('\n');
+  assert.ok(lines.every(l => l.startsWith('[tunnel] config: ')), stderr);
+  for (const pattern of [
+    /unknown key "colour"/,
+    /bridgePort must be an integer 1–65535 \(got "x"\)/,
+    /healthIntervalMs must be a whole number of ms, at least 1000 \(got 0\)/,
+    /restartDelayMs must be a whole number of ms, at least 1000 \(got 999\)/,
+    /cloudflared: cloudflared-nope not found on PATH — install it/,
+    /repoDir: .*not-a-repo is not a git checkout/,
+    /branch must be a git branch name/,
+    /assumeUnchanged must be a list of paths in repoDir/
+  ]) {
+    assert.ok(lines.some(l => pattern.test(l)), `${pattern} in:\n${stderr}`);
+  }
+  assert.strictEqual(lines.length, 8);
+});